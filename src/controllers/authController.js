@@ -1,50 +1,181 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import User from "../models/user.js";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+} from "../utils/sessions.js";
+import {
+  createAccountToken,
+  consumeAccountToken,
+  getLastAccountTokenAt,
+} from "../utils/accountTokens.js";
+import { sendEmail } from "../utils/Email.js";
+import { getPermissions } from "../utils/permissions.js";
+import { getLockout, recordLoginAttempt } from "../utils/loginProtection.js";
+import {
+  readCartToken,
+  verifyCartToken,
+  mergeGuestCart,
+  linkGuestOrders,
+} from "../utils/guestCart.js";
+import {
+  isTwoFactorRequired,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  countRecoveryCodes,
+} from "../utils/twoFactor.js";
 
 // =======================================================
-// 🔐 Helper: Generate Tokens (✅ FIXED - includes isAdmin)
+// 🍪 Helper: Refresh Token Cookie
 // =======================================================
-const generateTokens = (user) => {
-  const payload = {
-    id: user._id,
-    isAdmin: user.isAdmin,
-  };
+const REFRESH_COOKIE = "refreshToken";
 
-  const token = jwt.sign(payload, process.env.JWT_SECRET); // never expires
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // Frontend and API live on different sites in production
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+  path: "/api/auth",
+});
 
-  const refreshToken = jwt.sign(payload, process.env.REFRESH_SECRET); // also never expires
+const setRefreshCookie = (res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    expires: expiresAt,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+// Cookie for browsers, body for mobile/API clients
+const readRefreshToken = (req) =>
+  req.cookies?.[REFRESH_COOKIE] || req.body?.refreshToken || null;
+
+// =======================================================
+// 🛒 Helper: Bring Guest Activity Into the Account
+// =======================================================
+// Cart from the X-Cart-Token the guest used, plus past guest orders (verified emails only)
+const adoptGuestActivity = async (user, req) => {
+  try {
+    const guestId = verifyCartToken(readCartToken(req));
+    if (guestId) await mergeGuestCart(guestId, user._id);
+    await linkGuestOrders(user);
+  } catch (err) {
+    // Never fail a login over this; the guest cart simply stays where it was
+    console.error("Guest cart merge error:", err);
+  }
+};
 
+// =======================================================
+// 🔐 Helper: Start a Session (short-lived access + stored refresh token)
+// =======================================================
+const startSession = async (user, req, res) => {
+  const { token, refreshToken, refreshExpiresAt } = await issueTokens(user, { req });
+  setRefreshCookie(res, refreshToken, refreshExpiresAt);
+  await adoptGuestActivity(user, req);
   return { token, refreshToken };
 };
 
 
 // =======================================================
-// 🧩 Helper: Fixed Admin Check
+// ✉️ Helper: Account Emails
 // =======================================================
-const isFixedAdmin = (email, password) => {
-  const admins = [
-    {
-      email: process.env.ADMIN_EMAIL_1,
-      password: process.env.ADMIN_PASSWORD_1,
-    },
-    {
-      email: process.env.ADMIN_EMAIL_2,
-      password: process.env.ADMIN_PASSWORD_2,
-    },
-    {
-      email: process.env.ADMIN_EMAIL_3,
-      password: process.env.ADMIN_PASSWORD_3,
-    },
-  ];
+const MIN_PASSWORD_LENGTH = 8;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+const sendVerificationEmail = async (user) => {
+  const token = await createAccountToken(user._id, "email_verification");
+  const link = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Confirm your email address",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0f5132;">Welcome, ${user.username}!</h2>
+        <p>Please confirm your email address to finish setting up your account.</p>
+        <p style="margin: 25px 0;">
+          <a href="${link}" style="background: #0f5132; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">Verify email</a>
+        </p>
+        <p style="color: #666; font-size: 14px;">If you didn't create an account, you can ignore this email.</p>
+      </div>
+    `,
+    text: `Confirm your email address: ${link}`,
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await createAccountToken(user._id, "password_reset");
+  const link = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Reset your password",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0f5132;">Password reset</h2>
+        <p>Hi ${user.username}, we received a request to reset your password.</p>
+        <p style="margin: 25px 0;">
+          <a href="${link}" style="background: #0f5132; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">Choose a new password</a>
+        </p>
+        <p style="color: #666; font-size: 14px;">The link can be used once and expires soon. If you didn't ask for this, you can ignore this email.</p>
+      </div>
+    `,
+    text: `Reset your password: ${link}`,
+  });
+};
+
+// =======================================================
+// 🛡️ Helper: Login Protection
+// =======================================================
+// Same answer for unknown emails and wrong passwords
+const INVALID_LOGIN_MESSAGE = "Invalid email or password";
+
+// Compared against when the email is unknown so both paths take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+const sendLockedOut = (res, lockout) => {
+  const retryAfterSeconds = Math.ceil(lockout.retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    message: "Too many failed attempts. Please try again later.",
+    retryAfterSeconds,
+  });
+};
+
+// Every check has passed: record it, start the session and answer like login
+const completeLogin = async (user, req, res, extra = {}) => {
+  await recordLoginAttempt({ email: user.email, userId: user._id, outcome: "success", req });
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  const { token, refreshToken } = await startSession(user, req, res);
 
-  return admins.find(
-    (admin) =>
-      admin.email &&
-      admin.password &&
-      email.trim().toLowerCase() === admin.email.toLowerCase() &&
-      password === admin.password
-  );
+  return res.json({
+    message: "Login successful",
+    token,
+    refreshToken,
+    role: user.role,
+    permissions: getPermissions(user.role),
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+    },
+    ...extra,
+  });
 };
 
 // =======================================================
@@ -65,20 +196,26 @@ export const signup = async (req, res) => {
       username: username.trim(),
       email: email.trim().toLowerCase(),
       passwordHash: hashedPassword,
-      isAdmin: false,
     });
 
-    const { token, refreshToken } = generateTokens(user);
+    // Don't hold up signup on SMTP
+    sendVerificationEmail(user).catch((err) =>
+      console.error("Failed to send verification email:", err)
+    );
+
+    const { token, refreshToken } = await startSession(user, req, res);
 
     res.status(201).json({
       message: "User registered successfully",
       token,
       refreshToken,
-      role: "user",
+      role: user.role,
+      permissions: getPermissions(user.role),
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
       },
     });
   } catch (err) {
@@ -96,99 +233,489 @@ export const login = async (req, res) => {
     if (!email || !password)
       return res.status(400).json({ message: "All fields are required" });
 
-    // 🧩 Check fixed admin credentials
-    const matchedAdmin = isFixedAdmin(email, password);
-    if (matchedAdmin) {
-      let admin = await User.findOne({ email: matchedAdmin.email });
-
-      if (!admin) {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        admin = await User.create({
-          username: matchedAdmin.email.split("@")[0],
-          email: matchedAdmin.email,
-          passwordHash: hashedPassword,
-          isAdmin: true,
-        });
-      } else if (!admin.isAdmin) {
-        admin.isAdmin = true;
-        await admin.save();
-      }
-
-      const { token, refreshToken } = generateTokens(admin); // ✅ includes isAdmin:true
-
-      return res.status(200).json({
-        message: "Admin logged in successfully",
-        token,
-        refreshToken,
-        role: "admin",
-        user: {
-          id: admin._id,
-          username: admin.username,
-          email: admin.email,
-        },
+    const normalizedEmail = String(email).trim().toLowerCase();
+
+    // 🛡️ Exponential lockout after repeated failures for this email
+    const lockout = await getLockout(normalizedEmail);
+    if (lockout.locked) {
+      await recordLoginAttempt({ email: normalizedEmail, outcome: "locked", req });
+      return sendLockedOut(res, lockout);
+    }
+
+    const user = await User.findOne({ email: normalizedEmail });
+    const isMatch = await bcrypt.compare(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!user || !isMatch) {
+      await recordLoginAttempt({
+        email: normalizedEmail,
+        userId: user?._id || null,
+        outcome: "invalid_credentials",
+        req,
       });
+      return res.status(401).json({ message: INVALID_LOGIN_MESSAGE });
     }
 
-    // ✅ Regular user login
-    const user = await User.findOne({ email });
+    // 📲 Step two: the login only counts once the code is in
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user, "2fa_login"),
+      });
+    }
+
+    // Admin roles must enroll before they get a session
+    if (isTwoFactorRequired(user)) {
+      return res.json({
+        message: "Two-factor authentication must be set up for this account",
+        twoFactorSetupRequired: true,
+        challengeToken: signTwoFactorChallenge(user, "2fa_setup"),
+      });
+    }
+
+    return completeLogin(user, req, res);
+  } catch (err) {
+    console.error("Login error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 📲 TWO-FACTOR LOGIN Controller (second step of login)
+// =======================================================
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode))
+      return res.status(400).json({ message: "Challenge token and code are required" });
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallenge(challengeToken, "2fa_login");
+    } catch {
+      return res.status(401).json({ message: "Login expired, please sign in again" });
+    }
+
+    const user = await User.findById(decoded.id);
     if (!user)
-      return res.status(404).json({ message: "User not found" });
+      return res.status(401).json({ message: "Login expired, please sign in again" });
 
-    const isMatch = await bcrypt.compare(password, user.passwordHash);
-    if (!isMatch)
-      return res.status(400).json({ message: "Invalid credentials" });
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockout = await getLockout(user.email);
+    if (lockout.locked) {
+      await recordLoginAttempt({ email: user.email, userId: user._id, outcome: "locked", req });
+      return sendLockedOut(res, lockout);
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!result.valid) {
+      await recordLoginAttempt({
+        email: user.email,
+        userId: user._id,
+        outcome: "invalid_credentials",
+        req,
+      });
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
 
-    const { token, refreshToken } = generateTokens(user);
+    return completeLogin(
+      user,
+      req,
+      res,
+      result.method === "recovery_code"
+        ? { recoveryCodesRemaining: result.recoveryCodesRemaining }
+        : {}
+    );
+  } catch (err) {
+    console.error("2FA login error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
 
+// =======================================================
+// 📲 TWO-FACTOR STATUS Controller
+// =======================================================
+export const getTwoFactorStatus = async (req, res) => {
+  try {
     res.json({
-      message: "Login successful",
-      token,
-      refreshToken,
-      role: user.isAdmin ? "admin" : "user",
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-      },
+      enabled: Boolean(req.user.twoFactor?.enabled),
+      required: isTwoFactorRequired(req.user),
+      enabledAt: req.user.twoFactor?.enabledAt || null,
+      recoveryCodesRemaining: req.user.twoFactor?.enabled
+        ? await countRecoveryCodes(req.user._id)
+        : 0,
     });
   } catch (err) {
-    console.error("Login error:", err);
+    console.error("2FA status error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 📲 TWO-FACTOR SETUP Controller (returns the QR-code URI)
+// =======================================================
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    const { secret, otpauthUrl } = await startEnrollment(req.user);
+
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      secret,
+      otpauthUrl,
+    });
+  } catch (err) {
+    console.error("2FA setup error:", err);
     res.status(500).json({ message: "Server error" });
   }
 };
 
 // =======================================================
-// 🚪 LOGOUT Controller
+// 📲 TWO-FACTOR ENABLE Controller (confirms the first code)
 // =======================================================
-export const logout = (req, res) => {
-  res.json({ message: "Logout successful — remove token on client side" });
+export const enableTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+
+    if (!req.body.code)
+      return res.status(400).json({ message: "Code is required" });
+
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+    if (!recoveryCodes)
+      return res.status(400).json({ message: "Invalid code — check your app and try again" });
+
+    // Enrolled straight from login: this finishes the login too
+    if (req.twoFactorSetupChallenge) {
+      const user = await User.findById(req.user._id);
+      return completeLogin(user, req, res, {
+        message: "Two-factor authentication enabled",
+        recoveryCodes,
+      });
+    }
+
+    res.json({
+      message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA enable error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
 };
 
 // =======================================================
-// 🔁 REFRESH TOKEN Controller (✅ uses isAdmin)
+// 📲 TWO-FACTOR RECOVERY CODES Controller (replaces all codes)
 // =======================================================
-export const refresh = (req, res) => {
-  const { refreshToken } = req.body;
-  if (!refreshToken)
-    return res.status(400).json({ message: "Refresh token required" });
+export const regenerateTwoFactorRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
 
-  jwt.verify(refreshToken, process.env.REFRESH_SECRET, (err, decoded) => {
-    if (err)
-      return res
-        .status(403)
-        .json({ message: "Invalid or expired refresh token" });
+    const { valid } = await verifySecondFactor(req.user._id, {
+      code: req.body.code,
+      allowRecovery: false,
+    });
+    if (!valid)
+      return res.status(401).json({ message: "Invalid authentication code" });
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    res.json({
+      message: "New recovery codes generated; the old ones no longer work",
+      recoveryCodes,
+    });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 📲 TWO-FACTOR DISABLE Controller
+// =======================================================
+export const disableTwoFactorAuth = async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+
+    if (isTwoFactorRequired(req.user))
+      return res.status(403).json({
+        message: `Two-factor authentication is mandatory for ${req.user.role} accounts`,
+      });
 
-    const newAccessToken = jwt.sign(
-      { id: decoded.id, isAdmin: decoded.isAdmin }, // ✅ preserve admin flag
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+    if (!password || !(await bcrypt.compare(password, user.passwordHash)))
+      return res.status(401).json({ message: "Invalid password" });
+
+    const { valid } = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (!valid)
+      return res.status(401).json({ message: "Invalid authentication code" });
+
+    await disableTwoFactor(user._id);
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    console.error("2FA disable error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🔒 CHANGE PASSWORD Controller (signs out every other device)
+// =======================================================
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ message: "Current and new password are required" });
+
+    if (String(newPassword).length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+
+    const user = await User.findById(req.user._id);
+    if (!(await bcrypt.compare(currentPassword, user.passwordHash)))
+      return res.status(401).json({ message: "Current password is incorrect" });
+
+    user.passwordHash = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Old refresh tokens die with the old password; this device gets a fresh one
+    await revokeUserTokens(user._id, "password_changed");
+    const { token, refreshToken } = await startSession(user, req, res);
+
+    res.json({ message: "Password changed", token, refreshToken });
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🚪 LOGOUT Controller (revokes this device, or every device)
+// =======================================================
+export const logout = async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    const allDevices = req.body?.allDevices === true;
+
+    if (refreshToken) {
+      await revokeRefreshToken(refreshToken, { allDevices });
+    }
+    clearRefreshCookie(res);
+
+    res.json({
+      message: allDevices ? "Logged out of all devices" : "Logout successful",
+    });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🔁 REFRESH TOKEN Controller (rotates the refresh token)
+// =======================================================
+export const refresh = async (req, res) => {
+  try {
+    const presented = readRefreshToken(req);
+    if (!presented)
+      return res.status(400).json({ message: "Refresh token required" });
+
+    const { user, token, refreshToken, refreshExpiresAt } = await rotateRefreshToken(
+      presented,
+      { req }
     );
+    setRefreshCookie(res, refreshToken, refreshExpiresAt);
 
     res.json({
       message: "Access token refreshed successfully",
-      token: newAccessToken,
+      token,
+      refreshToken,
+      role: user.role,
+      permissions: getPermissions(user.role),
     });
-  });
+  } catch (err) {
+    if (err.status) {
+      clearRefreshCookie(res);
+      return res.status(err.status).json({ message: err.message });
+    }
+    console.error("Refresh error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🔓 FORGOT PASSWORD Controller (same answer whether or not the email exists)
+// =======================================================
+export const forgotPassword = async (req, res) => {
+  try {
+    const email = String(req.body?.email || "").trim().toLowerCase();
+    if (!email)
+      return res.status(400).json({ message: "Email is required" });
+
+    const user = await User.findOne({ email });
+    if (user) {
+      // Not awaited: neither a mail failure nor SMTP latency may reveal that the account exists
+      sendPasswordResetEmail(user).catch((err) =>
+        console.error("Failed to send password reset email:", err)
+      );
+    }
+
+    res.json({
+      message: "If an account exists for that email, a password reset link has been sent",
+    });
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🔒 RESET PASSWORD Controller
+// =======================================================
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password)
+      return res.status(400).json({ message: "Token and new password are required" });
+
+    if (String(password).length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+
+    const record = await consumeAccountToken(token, "password_reset");
+    if (!record)
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+
+    const user = await User.findById(record.userId);
+    if (!user)
+      return res.status(400).json({ message: "Invalid or expired reset link" });
+
+    user.passwordHash = await bcrypt.hash(password, 10);
+    // Following the emailed link proves the address too
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Sign out every device that might be using the old password
+    await revokeUserTokens(user._id, "password_changed");
+    clearRefreshCookie(res);
+
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 🤝 ACCEPT STAFF INVITE Controller (sets the password for an invited account)
+// =======================================================
+export const acceptInvite = async (req, res) => {
+  try {
+    const { token, password, username } = req.body;
+    if (!token || !password)
+      return res.status(400).json({ message: "Token and password are required" });
+
+    if (String(password).length < MIN_PASSWORD_LENGTH)
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+
+    const record = await consumeAccountToken(token, "staff_invite");
+    if (!record)
+      return res.status(400).json({ message: "Invalid or expired invite link" });
+
+    const user = await User.findById(record.userId);
+    if (!user)
+      return res.status(400).json({ message: "Invalid or expired invite link" });
+
+    user.passwordHash = await bcrypt.hash(password, 10);
+    if (username && String(username).trim()) user.username = String(username).trim();
+    user.emailVerified = true;
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+
+    // Admin roles enroll in 2FA before their first session
+    if (isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+      return res.json({
+        message: "Invite accepted. Set up two-factor authentication to continue.",
+        twoFactorSetupRequired: true,
+        challengeToken: signTwoFactorChallenge(user, "2fa_setup"),
+      });
+    }
+
+    return completeLogin(user, req, res, { message: "Invite accepted" });
+  } catch (err) {
+    console.error("Accept invite error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// ✅ VERIFY EMAIL Controller
+// =======================================================
+export const verifyEmail = async (req, res) => {
+  try {
+    const token = req.body?.token || req.query?.token;
+    if (!token)
+      return res.status(400).json({ message: "Verification token required" });
+
+    const record = await consumeAccountToken(token, "email_verification");
+    if (!record)
+      return res.status(400).json({ message: "Invalid or expired verification link" });
+
+    const user = await User.findByIdAndUpdate(
+      record.userId,
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true }
+    ).select("-passwordHash");
+    if (!user)
+      return res.status(400).json({ message: "Invalid or expired verification link" });
+
+    // The address is proven now, so guest orders placed with it become theirs
+    await linkGuestOrders(user).catch((err) => console.error("Link guest orders error:", err));
+
+    res.json({ message: "Email verified successfully", user });
+  } catch (err) {
+    console.error("Verify email error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =======================================================
+// 📨 RESEND VERIFICATION Controller
+// =======================================================
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user)
+      return res.status(404).json({ message: "User not found" });
+
+    if (user.emailVerified)
+      return res.status(400).json({ message: "Email is already verified" });
+
+    const lastSentAt = await getLastAccountTokenAt(user._id, "email_verification");
+    if (lastSentAt && Date.now() - lastSentAt.getTime() < RESEND_COOLDOWN_MS)
+      return res.status(429).json({
+        message: "Please wait a minute before requesting another email",
+      });
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    console.error("Resend verification error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
 };
 
 // =======================================================
@@ -201,8 +728,9 @@ export const getMe = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
 
     res.json({
-      message: user.isAdmin ? "Logged in as Admin" : "Logged in as User",
+      message: `Logged in as ${user.role}`,
       user,
+      permissions: getPermissions(user.role),
     });
   } catch (err) {
     console.error("GetMe error:", err);
@@ -1,11 +1,27 @@
 import Cart from "../models/cart.js";
 import Drink from "../models/drinks.js";
+import { checkAvailability, findPack } from "../utils/inventory.js";
+import { priceCartItems, summarizeTotals } from "../utils/pricing.js";
+import { resolvePromotion, normalizeCode } from "../utils/promotions.js";
+import { quoteDelivery } from "../utils/delivery.js";
+
+// Delivery address from the summary query: a saved address, or city/area/lat/lng
+const deliveryAddressFromQuery = (req) => {
+  const { addressId, city, area, lat, lng } = req.query;
+  if (addressId) return req.user?.addresses?.id(addressId) || null;
+  if (!city && !area && !(lat && lng)) return null;
+  return {
+    city,
+    area,
+    location: lat && lng ? { lat: Number(lat), lng: Number(lng) } : null,
+  };
+};
 
 // ---------------- Add item to cart ----------------
 export const addToCart = async (req, res) => {
   try {
     let { drinkId, quantity = 1, pack } = req.body;
-    const userId = req.user._id;
+    const owner = req.cartOwner;
 
     quantity = Number(quantity);
 
@@ -22,9 +38,15 @@ export const addToCart = async (req, res) => {
       return res.status(400).json({ message: "Invalid drink, pack, or quantity" });
     }
 
+    // Reject quantities beyond what is on hand (including what's already in the cart)
+    const existing = await Cart.findOne({ ...owner, drinkId, pack });
+    const stockError = checkAvailability(drink, pack, (existing?.quantity || 0) + quantity);
+    if (stockError) return res.status(400).json({ message: stockError });
+
     const cartItem = await Cart.findOneAndUpdate(
-      { userId, drinkId, pack },
-      { $inc: { quantity } },
+      { ...owner, drinkId, pack },
+      // The price seen when the line was first added; later adds don't hide a change
+      { $inc: { quantity }, $setOnInsert: { addedPrice: findPack(drink, pack)?.price ?? null } },
       { new: true, upsert: true, setDefaultsOnInsert: true }
     );
 
@@ -38,18 +60,20 @@ export const addToCart = async (req, res) => {
 // ---------------- Get all cart items ----------------
 export const getCartItems = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const cartItems = await Cart.find({ userId }).populate("drinkId");
-
-    const result = cartItems.map((item) => ({
-      id: item._id,
-      drinkId: item.drinkId._id,
-      name: item.drinkId.name,
-      price: item.drinkId.packs?.find(p => p.pack === item.pack)?.price || 0,
-      qty: item.quantity,
-      packs: item.drinkId.packs,
-      pack: item.pack,
-      image: item.drinkId.imageUrl || "",
+    const owner = req.cartOwner;
+    const cartItems = await Cart.find(owner).populate("drinkId");
+    const { lines } = priceCartItems(cartItems);
+
+    const result = lines.map((line) => ({
+      id: line.id,
+      drinkId: line.drinkId,
+      name: line.name,
+      price: line.unitPrice,
+      qty: line.quantity,
+      packs: line.packs,
+      pack: line.pack,
+      image: line.image,
+      issues: line.issues,
     }));
 
     res.json({ cartItems: result });
@@ -59,13 +83,93 @@ export const getCartItems = async (req, res) => {
   }
 };
 
+// ---------------- Cart summary (totals + per-line issues) ----------------
+// Priced exactly like checkout (utils/pricing.js)
+// Query: promoCode previews a code; addressId or city/area/lat/lng quotes delivery
+export const getCartSummary = async (req, res) => {
+  try {
+    const cartItems = await Cart.find(req.cartOwner).populate("drinkId");
+    const priced = priceCartItems(cartItems);
+
+    const address = deliveryAddressFromQuery(req);
+    const delivery = address ? await quoteDelivery(address, priced.subtotal) : null;
+    const deliveryFee = delivery?.deliverable ? delivery.fee : 0;
+
+    let promo = null;
+    if (req.query.promoCode) {
+      promo = await resolvePromotion(req.query.promoCode, {
+        priced,
+        userId: req.user?._id || null,
+        email: req.user?.email || "",
+        deliveryFee,
+      });
+    }
+
+    res.json({
+      lines: priced.lines,
+      totals: summarizeTotals(priced, {
+        deliveryFee,
+        discount: promo?.discount,
+        deliveryDiscount: promo?.deliveryDiscount,
+      }),
+      promotion: promo && {
+        code: normalizeCode(req.query.promoCode),
+        description: promo.promotion?.description || "",
+        applied: !promo.error,
+        ...(promo.error && { message: promo.error }),
+      },
+      delivery: delivery && {
+        deliverable: delivery.deliverable,
+        fee: delivery.fee ?? null,
+        zone: delivery.zone || null,
+        earliestDeliveryAt: delivery.earliestDeliveryAt || null,
+        ...(delivery.error && { code: delivery.code, message: delivery.error }),
+      },
+      issues: priced.issues,
+      canCheckout: priced.canCheckout && delivery?.deliverable !== false,
+    });
+  } catch (err) {
+    console.error("❌ Cart summary error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
+// ---------------- Accept changed prices ----------------
+// Clears the price_changed warning by taking the current price as the one added.
+// Body: ids (optional) limits it to those cart lines
+export const acceptCartPrices = async (req, res) => {
+  try {
+    const owner = req.cartOwner;
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+
+    const cartItems = await Cart.find(owner).populate("drinkId");
+    const changed = priceCartItems(cartItems).issues.filter(
+      (i) => i.code === "price_changed" && (!ids || ids.includes(String(i.lineId)))
+    );
+
+    await Promise.all(
+      changed.map((i) =>
+        Cart.updateOne({ _id: i.lineId, ...owner }, { $set: { addedPrice: i.currentPrice } })
+      )
+    );
+
+    res.json({
+      message: changed.length ? "New prices accepted" : "No price changes to accept",
+      updated: changed.map((i) => ({ id: i.lineId, price: i.currentPrice })),
+    });
+  } catch (err) {
+    console.error("❌ Accept cart prices error:", err);
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
+
 // ---------------- Remove item from cart ----------------
 export const removeFromCart = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user._id;
+    const owner = req.cartOwner;
 
-    const deletedItem = await Cart.findOneAndDelete({ _id: id, userId });
+    const deletedItem = await Cart.findOneAndDelete({ _id: id, ...owner });
     if (!deletedItem) return res.status(404).json({ message: "Cart item not found" });
 
     res.json({ message: "Item removed from cart", deletedItem });
@@ -80,15 +184,21 @@ export const updateCartItemQuantity = async (req, res) => {
   try {
     const { id } = req.params;
     let { quantity } = req.body;
-    const userId = req.user._id;
+    const owner = req.cartOwner;
 
     quantity = Number(quantity);
     if (isNaN(quantity) || quantity < 1) {
       return res.status(400).json({ message: "Quantity must be at least 1" });
     }
 
+    const existing = await Cart.findOne({ _id: id, ...owner }).populate("drinkId");
+    if (!existing) return res.status(404).json({ message: "Cart item not found" });
+
+    const stockError = checkAvailability(existing.drinkId, existing.pack, quantity);
+    if (stockError) return res.status(400).json({ message: stockError });
+
     const cartItem = await Cart.findOneAndUpdate(
-      { _id: id, userId },
+      { _id: id, ...owner },
       { $set: { quantity } },
       { new: true }
     );
@@ -107,16 +217,27 @@ export const updateCartItemPack = async (req, res) => {
   try {
     const { id } = req.params;
     let { pack } = req.body;
-    const userId = req.user._id;
+    const owner = req.cartOwner;
 
     pack = Number(pack);
     if (isNaN(pack)) return res.status(400).json({ message: "Invalid pack value" });
 
-    const cartItem = await Cart.findById(id);
+    const cartItem = await Cart.findOne({ _id: id, ...owner });
     if (!cartItem) return res.status(404).json({ message: "Cart item not found" });
 
     // Merge with existing cart item if same drinkId and pack exists
-    const existingItem = await Cart.findOne({ userId, drinkId: cartItem.drinkId, pack });
+    const existingItem = await Cart.findOne({
+      _id: { $ne: cartItem._id },
+      ...owner,
+      drinkId: cartItem.drinkId,
+      pack,
+    });
+
+    const drink = await Drink.findById(cartItem.drinkId);
+    const mergedQuantity = cartItem.quantity + (existingItem?.quantity || 0);
+    const stockError = checkAvailability(drink, pack, mergedQuantity);
+    if (stockError) return res.status(400).json({ message: stockError });
+
     if (existingItem) {
       existingItem.quantity += cartItem.quantity;
       await existingItem.save();
@@ -125,6 +246,7 @@ export const updateCartItemPack = async (req, res) => {
     }
 
     cartItem.pack = pack;
+    cartItem.addedPrice = findPack(drink, pack)?.price ?? null;
     await cartItem.save();
 
     res.json({ message: "Pack updated", cartItem });
@@ -139,7 +261,7 @@ export const updateCartItemPack = async (req, res) => {
 // ---------------- Add multiple items to cart (Batch) ----------------
 export const addManyToCart = async (req, res) => {
   try {
-    const userId = req.user._id;
+    const owner = req.cartOwner;
     const items = req.body.items; // array of { drinkId, quantity, pack }
 
     if (!Array.isArray(items) || items.length === 0) {
@@ -147,6 +269,7 @@ export const addManyToCart = async (req, res) => {
     }
 
     const results = [];
+    const rejected = [];
 
     for (const item of items) {
       let { drinkId, quantity = 1, pack } = item;
@@ -163,9 +286,16 @@ export const addManyToCart = async (req, res) => {
 
       if (!drinkId || isNaN(pack) || quantity < 1) continue;
 
+      const existing = await Cart.findOne({ ...owner, drinkId, pack });
+      const stockError = checkAvailability(drink, pack, (existing?.quantity || 0) + quantity);
+      if (stockError) {
+        rejected.push({ drinkId, pack, quantity, message: stockError });
+        continue;
+      }
+
       const cartItem = await Cart.findOneAndUpdate(
-        { userId, drinkId, pack },
-        { $inc: { quantity } },
+        { ...owner, drinkId, pack },
+        { $inc: { quantity }, $setOnInsert: { addedPrice: findPack(drink, pack)?.price ?? null } },
         { new: true, upsert: true, setDefaultsOnInsert: true }
       );
 
@@ -175,6 +305,7 @@ export const addManyToCart = async (req, res) => {
     res.status(201).json({
       message: "Batch items added",
       cartItems: results,
+      rejected,
     });
   } catch (err) {
     console.error("❌ AddMany error:", err);
@@ -0,0 +1,178 @@
+// src/controllers/deliverySlotController.js
+import DeliverySettings from "../models/deliverySettings.js";
+import DeliverySlot from "../models/deliverySlot.js";
+import { getDeliverySettings, listAvailableSlots, findSlot } from "../utils/deliverySlots.js";
+import { findDeliveryZone } from "../utils/delivery.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logScheduleEvent = (event, data) => {
+  console.log(`[DELIVERY_SCHEDULE ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const SETTINGS_FIELDS = ["openingHours", "holidays", "slotMinutes", "slotCapacity", "maxDaysAhead"];
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid delivery schedule",
+    errors: Object.values(error.errors).map((e) => e.message),
+  });
+
+/* ==================== AVAILABLE SLOTS (PUBLIC) ==================== */
+// Query: days (default 7), and city/area or lat/lng to apply that zone's lead time
+export const getAvailableSlots = async (req, res) => {
+  try {
+    const settings = await getDeliverySettings();
+    if (!settings) {
+      return res.json({ success: true, scheduling: false, days: [] });
+    }
+
+    const { city, area, lat, lng } = req.query;
+    let earliestAt = new Date();
+    if (city || area || (lat && lng)) {
+      const { zone } = await findDeliveryZone({
+        city,
+        area,
+        location: lat && lng ? { lat: Number(lat), lng: Number(lng) } : null,
+      });
+      if (zone) earliestAt = new Date(Date.now() + zone.leadTimeMinutes * 60 * 1000);
+    }
+
+    const days = await listAvailableSlots(settings, {
+      days: parseInt(req.query.days, 10) || 7,
+      earliestAt,
+    });
+
+    return res.json({ success: true, scheduling: true, slotMinutes: settings.slotMinutes, days });
+  } catch (error) {
+    console.error("List delivery slots error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery slots",
+    });
+  }
+};
+
+/* ==================== GET SCHEDULE (ADMIN) ==================== */
+export const getScheduleSettings = async (req, res) => {
+  try {
+    const settings = await getDeliverySettings();
+    return res.json({ success: true, settings });
+  } catch (error) {
+    console.error("Get delivery schedule error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery schedule",
+    });
+  }
+};
+
+/* ==================== UPDATE SCHEDULE (ADMIN) ==================== */
+// Creating the schedule switches checkout over to slot booking
+export const updateScheduleSettings = async (req, res) => {
+  try {
+    const settings = (await getDeliverySettings()) || new DeliverySettings({ key: "default" });
+
+    const fields = {};
+    for (const key of SETTINGS_FIELDS) {
+      if (req.body[key] !== undefined) fields[key] = req.body[key];
+    }
+    settings.set({ ...fields, updatedBy: req.user._id });
+    await settings.save();
+
+    logScheduleEvent("UPDATED", {
+      admin: req.user.email || req.user._id,
+      fields: Object.keys(fields),
+    });
+
+    return res.json({
+      success: true,
+      message: "Delivery schedule updated",
+      settings,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    console.error("Update delivery schedule error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update delivery schedule",
+    });
+  }
+};
+
+/* ==================== SLOT BOOKINGS (ADMIN) ==================== */
+// Query: date (YYYY-MM-DD, default today)
+export const listSlotBookings = async (req, res) => {
+  try {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    const slots = await DeliverySlot.find({ date }).sort({ start: 1 }).lean();
+
+    return res.json({ success: true, date, slots });
+  } catch (error) {
+    console.error("List slot bookings error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch slot bookings",
+    });
+  }
+};
+
+/* ==================== SET SLOT CAPACITY (ADMIN) ==================== */
+// Override one slot's capacity; 0 closes it to new bookings
+export const updateSlotCapacity = async (req, res) => {
+  try {
+    const capacity = Number(req.body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Capacity must be a whole number of orders (0 or more)",
+      });
+    }
+
+    const settings = await getDeliverySettings();
+    const slot = settings && findSlot(settings, req.params.key);
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery slot not found",
+      });
+    }
+
+    const counter = await DeliverySlot.findOneAndUpdate(
+      { key: slot.key },
+      {
+        $set: { capacity },
+        $setOnInsert: { date: slot.date, start: slot.start, end: slot.end, bookedCount: 0 },
+      },
+      { new: true, upsert: true }
+    );
+
+    logScheduleEvent("SLOT_CAPACITY_UPDATED", {
+      key: slot.key,
+      capacity,
+      admin: req.user.email || req.user._id,
+    });
+
+    return res.json({
+      success: true,
+      message: "Slot capacity updated",
+      slot: counter,
+    });
+  } catch (error) {
+    console.error("Update slot capacity error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update slot capacity",
+    });
+  }
+};
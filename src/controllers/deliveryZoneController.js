@@ -0,0 +1,179 @@
+// src/controllers/deliveryZoneController.js
+import DeliveryZone, { ZONE_MATCH_TYPES } from "../models/deliveryZone.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logZoneEvent = (event, data) => {
+  console.log(`[DELIVERY_ZONE ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const ZONE_FIELDS = [
+  "name",
+  "description",
+  "matchType",
+  "cities",
+  "areas",
+  "polygon",
+  "center",
+  "radiusKm",
+  "fee",
+  "freeDeliveryThreshold",
+  "minOrderAmount",
+  "leadTimeMinutes",
+  "priority",
+  "active",
+];
+
+const pickZoneFields = (body = {}) => {
+  const fields = {};
+  for (const key of ZONE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+};
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid delivery zone",
+    errors: Object.values(error.errors).map((e) => e.message),
+  });
+
+/* ==================== LIST DELIVERY ZONES (PUBLIC) ==================== */
+// What customers see: names, fees, minimums and lead times of active zones
+export const listActiveZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ active: true })
+      .select("name description matchType cities areas fee freeDeliveryThreshold minOrderAmount leadTimeMinutes")
+      .sort({ priority: 1, name: 1 })
+      .lean();
+
+    return res.json({ success: true, zones });
+  } catch (error) {
+    console.error("List delivery zones error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery zones",
+    });
+  }
+};
+
+/* ==================== LIST DELIVERY ZONES (ADMIN) ==================== */
+export const listZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find().sort({ priority: 1, createdAt: 1 }).lean();
+
+    return res.json({
+      success: true,
+      count: zones.length,
+      matchTypes: ZONE_MATCH_TYPES,
+      zones,
+    });
+  } catch (error) {
+    console.error("List delivery zones error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery zones",
+    });
+  }
+};
+
+/* ==================== CREATE DELIVERY ZONE (ADMIN) ==================== */
+export const createZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.create(pickZoneFields(req.body));
+
+    logZoneEvent("CREATED", {
+      zoneId: zone._id,
+      name: zone.name,
+      admin: req.user.email || req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Delivery zone created",
+      zone,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    console.error("Create delivery zone error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create delivery zone",
+    });
+  }
+};
+
+/* ==================== UPDATE DELIVERY ZONE (ADMIN) ==================== */
+export const updateZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery zone not found",
+      });
+    }
+
+    const fields = pickZoneFields(req.body);
+    zone.set(fields);
+    await zone.save();
+
+    logZoneEvent("UPDATED", {
+      zoneId: zone._id,
+      name: zone.name,
+      admin: req.user.email || req.user._id,
+      fields: Object.keys(fields),
+    });
+
+    return res.json({
+      success: true,
+      message: "Delivery zone updated",
+      zone,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    console.error("Update delivery zone error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update delivery zone",
+    });
+  }
+};
+
+/* ==================== DELETE DELIVERY ZONE (ADMIN) ==================== */
+// Orders keep their own copy of the zone, so deleting is safe
+export const deleteZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery zone not found",
+      });
+    }
+
+    logZoneEvent("DELETED", {
+      zoneId: zone._id,
+      name: zone.name,
+      admin: req.user.email || req.user._id,
+    });
+
+    return res.json({ success: true, message: "Delivery zone deleted" });
+  } catch (error) {
+    console.error("Delete delivery zone error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete delivery zone",
+    });
+  }
+};
@@ -1,12 +1,186 @@
 import Drink from "../models/drinks.js";
+import { computeStockStatus, refreshDrinkStatus } from "../utils/inventory.js";
+import { userCan } from "../middleware/authorize.js";
+
+// ================= HELPERS
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  "-name": { name: -1, _id: -1 },
+  price: { minPrice: 1, _id: 1 },
+  "-price": { minPrice: -1, _id: -1 },
+};
+
+// Pack stock is optional (untracked) but must be a whole number when given
+const isValidStock = (stock) =>
+  stock === undefined || stock === null || (Number.isInteger(Number(stock)) && Number(stock) >= 0);
+
+// Blank stock from a form means "not tracked"
+const toStock = (stock) => (stock === null || stock === "" ? null : Number(stock));
+
+// Apply pack edits by pack number instead of replacing the array, so stock
+// taken by a checkout in the meantime isn't overwritten. Stock only changes
+// when the edit sends it; packs left out of the list are removed.
+// Resolves to false when the drink doesn't exist; throws an Error with
+// `status` 400 (before writing anything) when an edit is invalid.
+const applyPackEdits = async (id, packs) => {
+  const drink = await Drink.findById(id).select("packs");
+  if (!drink) return false;
+
+  const existing = new Set(drink.packs.map((p) => p.pack));
+
+  // A blank price keeps the current one
+  const hasPrice = (edit) => edit.price !== undefined && edit.price !== "";
+
+  for (const edit of packs) {
+    if (
+      !Number.isFinite(Number(edit?.pack)) ||
+      (!existing.has(Number(edit.pack)) && !hasPrice(edit)) ||
+      (hasPrice(edit) && !(Number(edit.price) >= 0))
+    ) {
+      const error = new Error("Each pack needs a pack number and a price of 0 or more");
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  const kept = packs.map((p) => Number(p.pack));
+  for (const edit of packs) {
+    const pack = Number(edit.pack);
+    const fields = {
+      ...(hasPrice(edit) ? { price: Number(edit.price) } : {}),
+      ...("stock" in edit ? { stock: toStock(edit.stock) } : {}),
+    };
+
+    if (existing.has(pack)) {
+      const set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`packs.$.${key}`, value]));
+      if (Object.keys(set).length) {
+        await Drink.updateOne({ _id: drink._id, "packs.pack": pack }, { $set: set }, { runValidators: true });
+      }
+    } else {
+      await Drink.updateOne({ _id: drink._id }, { $push: { packs: { pack, ...fields } } }, { runValidators: true });
+    }
+  }
+
+  const removed = [...existing].filter((pack) => !kept.includes(pack));
+  if (removed.length) {
+    await Drink.updateOne({ _id: drink._id }, { $pull: { packs: { pack: { $in: removed } } } });
+  }
+
+  return true;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accepts "a,b" or repeated params and returns a clean list
+const toList = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((v) => String(v).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+const toNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+};
+
+// Builds the Mongo filter for GET /api/drinks from the query string
+const buildDrinkFilter = (query, { includeHidden }) => {
+  const { search, q, category, size, status, minPrice, maxPrice } = query;
+  const filter = {};
+  const and = [];
+
+  const term = (search || q || "").trim();
+  if (term) {
+    const regex = new RegExp(escapeRegex(term), "i");
+    and.push({ $or: [{ name: regex }, { description: regex }] });
+  }
+
+  const categories = toList(category);
+  if (categories.length) {
+    filter.category = { $in: categories.map((c) => new RegExp(`^${escapeRegex(c)}$`, "i")) };
+  }
+
+  const sizes = toList(size);
+  if (sizes.length) {
+    filter.size = { $in: sizes.map((s) => new RegExp(`^${escapeRegex(s)}$`, "i")) };
+  }
+
+  const statuses = toList(status).map((s) => s.toLowerCase());
+  if (statuses.length) filter.status = { $in: statuses };
+
+  if (!includeHidden) {
+    filter.available = { $ne: false };
+    and.push({ status: { $ne: "inactive" } });
+  }
+
+  const min = toNumber(minPrice);
+  const max = toNumber(maxPrice);
+  if (min !== undefined || max !== undefined) {
+    const price = {};
+    if (min !== undefined) price.$gte = min;
+    if (max !== undefined) price.$lte = max;
+    filter.packs = { $elemMatch: { price } };
+  }
+
+  if (and.length) filter.$and = and;
+  return filter;
+};
 
 // ================= GET ALL DRINKS (Public)
+// Query: search|q, category, size, status, minPrice, maxPrice,
+//        sort (newest|oldest|name|-name|price|-price), page, limit,
+//        includeHidden=true (drinks:read_hidden only)
 export const getAllDrinks = async (req, res) => {
   try {
-    const drinks = await Drink.find();
+    const includeHidden = req.query.includeHidden === "true" && userCan(req.user, "drinks:read_hidden");
+
+    const sortKey = req.query.sort || "newest";
+    const sort = SORT_OPTIONS[sortKey];
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sort option",
+        validSorts: Object.keys(SORT_OPTIONS),
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE)
+    );
+
+    const filter = buildDrinkFilter(req.query, { includeHidden });
+
+    const [result] = await Drink.aggregate([
+      { $match: filter },
+      { $addFields: { minPrice: { $min: "$packs.price" } } },
+      { $sort: sort },
+      {
+        $facet: {
+          drinks: [{ $skip: (page - 1) * limit }, { $limit: limit }, { $project: { minPrice: 0 } }],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const drinks = result?.drinks || [];
+    const total = result?.total?.[0]?.count || 0;
+
     res.status(200).json({
       success: true,
       count: drinks.length,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
       drinks,
     });
   } catch (error) {
@@ -82,6 +256,12 @@ export const addDrink = async (req, res) => {
           message: "Each pack must have both pack size and price",
         });
       }
+      if (!isValidStock(pack.stock)) {
+        return res.status(400).json({
+          success: false,
+          message: "Pack stock must be a whole number of 0 or more",
+        });
+      }
     }
 
     const drinkStatus = status ? status.toLowerCase() : "active";
@@ -97,6 +277,7 @@ export const addDrink = async (req, res) => {
       packs: parsedPacks,
     });
 
+    newDrink.status = computeStockStatus(newDrink);
     const savedDrink = await newDrink.save();
 
     res.status(201).json({
@@ -137,10 +318,36 @@ export const updateDrink = async (req, res) => {
       }
     }
 
-    const updatedDrink = await Drink.findByIdAndUpdate(id, updates, { new: true });
+    if (Array.isArray(updates.packs) && updates.packs.some((p) => !isValidStock(p?.stock))) {
+      return res.status(400).json({
+        success: false,
+        message: "Pack stock must be a whole number of 0 or more",
+      });
+    }
+
+    // Packs are merged separately so tracked stock isn't reset or overwritten
+    const packEdits = Array.isArray(updates.packs) ? updates.packs : null;
+    delete updates.packs;
+
+    if (packEdits) {
+      try {
+        if (!(await applyPackEdits(id, packEdits))) {
+          return res.status(404).json({ success: false, message: "Drink not found" });
+        }
+      } catch (packError) {
+        if (!packError.status) throw packError;
+        return res.status(packError.status).json({ success: false, message: packError.message });
+      }
+    }
+
+    let updatedDrink = await Drink.findByIdAndUpdate(id, updates, {
+      new: true,
+      runValidators: true,
+    });
     if (!updatedDrink) {
       return res.status(404).json({ success: false, message: "Drink not found" });
     }
+    updatedDrink = await refreshDrinkStatus(updatedDrink);
 
     res.status(200).json({
       success: true,
@@ -1,6 +1,22 @@
 // src/controllers/orderController.js
+import mongoose from "mongoose";
 import Order from "../models/order.js";
+import User from "../models/user.js";
 import { sendEmail } from "../utils/Email.js";
+import { restoreStock } from "../utils/inventory.js";
+import { releaseReservation } from "../utils/reservations.js";
+import { releasePromotionUse } from "../utils/promotions.js";
+import { releaseSlotBooking } from "../utils/deliverySlots.js";
+import { requestRefund, getRefundableAmount, REFUNDABLE_PAYMENT_STATUSES } from "../utils/refunds.js";
+import { markOrderPaidOffline } from "../utils/fulfillment.js";
+import { userCan } from "../middleware/authorize.js";
+import { sendOrderStatusEmail } from "../utils/orderNotifications.js";
+import {
+  ORDER_STATUSES,
+  canTransition,
+  nextStatuses,
+  statusEntry,
+} from "../utils/orderStatus.js";
 
 /* ==================== HELPERS ==================== */
 
@@ -12,6 +28,18 @@ const logOrderEvent = (event, data) => {
   });
 };
 
+// Move an order to a new status only if its status hasn't changed since it
+// was read (plus any extra `guard`); resolves to the updated order or null
+const transitionOrder = (order, status, options, { set = {}, guard = {} } = {}) =>
+  Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: order.orderStatus, ...guard },
+    {
+      $set: { orderStatus: status, ...set },
+      $push: { statusHistory: statusEntry({ ...options, status, from: order.orderStatus }) },
+    },
+    { new: true }
+  ).populate("userId", "email name fullName");
+
 /* ==================== GET USER ORDERS ==================== */
 export const getUserOrders = async (req, res) => {
   try {
@@ -24,7 +52,8 @@ export const getUserOrders = async (req, res) => {
       });
     }
 
-    const orders = await Order.find({ userId })
+    // Unpaid checkouts stay in the audit trail but are hidden from customers
+    const orders = await Order.find({ userId, paymentStatus: { $nin: ["pending", "failed"] } })
       .sort({ createdAt: -1 })
       .lean();
 
@@ -56,10 +85,11 @@ export const getOrderById = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user?._id || req.user?.id;
-    const isAdmin = req.user?.isAdmin;
+    const canViewAny = userCan(req.user, "orders:read");
 
     const order = await Order.findById(id)
       .populate("userId", "email name fullName")
+      .populate("statusHistory.changedBy", "username")
       .lean();
 
     if (!order) {
@@ -73,7 +103,7 @@ export const getOrderById = async (req, res) => {
     const orderUserId = order.userId?._id?.toString() || order.userId?.toString();
     const requestUserId = userId?.toString();
 
-    if (orderUserId !== requestUserId && !isAdmin) {
+    if (orderUserId !== requestUserId && !canViewAny) {
       return res.status(403).json({ 
         success: false, 
         message: "Not authorized to view this order" 
@@ -99,18 +129,73 @@ export const getOrderById = async (req, res) => {
   }
 };
 
-/* ==================== GET ALL ORDERS (ADMIN) ==================== */
-export const getAllOrders = async (req, res) => {
+/* ==================== TRACK ORDER (PUBLIC) ==================== */
+// Body: orderNumber plus the email or phone used at checkout.
+// Only progress is returned — no address, items or payment details.
+export const trackOrder = async (req, res) => {
   try {
-    // Verify admin access
-    if (!req.user?.isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Admin access required" 
+    const { orderNumber, email, phone } = req.body || {};
+    const number = String(orderNumber || "").replace(/\D/g, "");
+
+    if (!number || (!email && !phone)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order number and the email or phone used at checkout are required",
+      });
+    }
+
+    const order = await Order.findOne({
+      orderNumber: number.padStart(6, "0"),
+      paymentStatus: { $nin: ["pending", "failed"] },
+    })
+      .select("orderNumber orderStatus statusHistory deliverySlot deliveryDate deliveryTime totalItems customer.email customer.phone createdAt")
+      .lean();
+
+    // Local and international forms of a number share their last 9 digits
+    const lastDigits = (value) => String(value || "").replace(/\D/g, "").slice(-9);
+    const matches =
+      order &&
+      ((email && order.customer.email === String(email).trim().toLowerCase()) ||
+        (phone && lastDigits(phone).length === 9 && lastDigits(phone) === lastDigits(order.customer.phone)));
+
+    // Same answer for a wrong number and wrong contact details
+    if (!matches) {
+      logOrderEvent("TRACK_NOT_FOUND", { orderNumber: number, ip: req.ip });
+      return res.status(404).json({
+        success: false,
+        message: "No order found with those details",
       });
     }
 
-    const orders = await Order.find()
+    return res.json({
+      success: true,
+      order: {
+        orderNumber: order.orderNumber,
+        orderStatus: order.orderStatus,
+        statusHistory: order.statusHistory.map(({ status, changedAt }) => ({ status, changedAt })),
+        deliverySlot: order.deliverySlot || null,
+        deliveryDate: order.deliveryDate || null,
+        deliveryTime: order.deliveryTime || null,
+        totalItems: order.totalItems,
+        placedAt: order.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Track order error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to track order",
+    });
+  }
+};
+
+/* ==================== GET ALL ORDERS (ADMIN) ==================== */
+export const getAllOrders = async (req, res) => {
+  try {
+    // ?needsReview=true lists orders flagged for manual review
+    const filter = req.query.needsReview === "true" ? { review: { $ne: null } } : {};
+    const orders = await Order.find(filter)
       .sort({ createdAt: -1 })
       .populate("userId", "email name fullName")
       .lean();
@@ -141,14 +226,6 @@ export const getAllOrders = async (req, res) => {
 /* ==================== GET ORDER STATISTICS (ADMIN) ==================== */
 export const getOrderStats = async (req, res) => {
   try {
-    // Verify admin access
-    if (!req.user?.isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Admin access required" 
-      });
-    }
-
     // Total orders count
     const totalOrders = await Order.countDocuments();
 
@@ -177,9 +254,15 @@ export const getOrderStats = async (req, res) => {
       createdAt: { $gte: sevenDaysAgo },
     });
 
-    // Pending orders
+    // Pending orders (paid, not yet being processed)
     const pendingOrders = await Order.countDocuments({
       orderStatus: { $in: ["pending", "confirmed"] },
+      paymentStatus: "paid",
+    });
+
+    // Checkouts that were initialized but never paid
+    const abandonedCheckouts = await Order.countDocuments({
+      paymentStatus: { $in: ["pending", "failed"] },
     });
 
     const stats = {
@@ -187,6 +270,7 @@ export const getOrderStats = async (req, res) => {
       totalRevenue,
       recentOrders,
       pendingOrders,
+      abandonedCheckouts,
       ordersByStatus: ordersByStatus.reduce((acc, item) => {
         acc[item._id] = item.count;
         return acc;
@@ -214,41 +298,19 @@ export const getOrderStats = async (req, res) => {
 /* ==================== UPDATE ORDER STATUS (ADMIN) ==================== */
 export const updateOrderStatus = async (req, res) => {
   try {
-    // Verify admin access
-    if (!req.user?.isAdmin) {
-      return res.status(403).json({ 
-        success: false, 
-        message: "Admin access required" 
-      });
-    }
-
     const { id } = req.params;
-    const { orderStatus } = req.body;
+    const { orderStatus, note = "" } = req.body;
 
     // Validate status
-    const validStatuses = [
-      "pending",
-      "confirmed", 
-      "processing", 
-      "shipped", 
-      "delivered", 
-      "completed", 
-      "cancelled"
-    ];
-
-    if (!validStatuses.includes(orderStatus)) {
+    if (!ORDER_STATUSES.includes(orderStatus)) {
       return res.status(400).json({
         success: false,
         message: "Invalid order status",
-        validStatuses,
+        validStatuses: ORDER_STATUSES,
       });
     }
 
-    const order = await Order.findByIdAndUpdate(
-      id,
-      { orderStatus },
-      { new: true }
-    ).populate("userId", "email name fullName");
+    const order = await Order.findById(id).populate("userId", "email name fullName");
 
     if (!order) {
       return res.status(404).json({ 
@@ -257,70 +319,50 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
+    // Cancellation has its own flow (stock, email)
+    if (orderStatus === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Use the cancel endpoint to cancel an order",
+      });
+    }
+
+    if (!canTransition(order.orderStatus, orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.orderStatus} to ${orderStatus}`,
+        allowedStatuses: nextStatuses(order.orderStatus),
+      });
+    }
+
+    const previousStatus = order.orderStatus;
+    const updated = await transitionOrder(order, orderStatus, {
+      by: req.user,
+      source: "admin",
+      note,
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "The order's status changed while you were updating it. Reload and try again.",
+      });
+    }
+
     logOrderEvent("STATUS_UPDATED", {
-      orderId: order._id,
+      orderId: updated._id,
+      previousStatus,
       newStatus: orderStatus,
       updatedBy: req.user.email || req.user._id,
     });
 
     // Send email notification for important status changes
-    const emailStatuses = ["shipped", "delivered", "completed"];
-    if (emailStatuses.includes(orderStatus) && order.customer?.email) {
-      try {
-        const statusMessages = {
-          shipped: "Your order has been shipped and is on its way! 📦",
-          delivered: "Your order has been delivered. We hope you enjoy it! 🎉",
-          completed: "Your order is complete. Thank you for shopping with us! ✅",
-        };
-
-        await sendEmail({
-          to: order.customer.email,
-          subject: `Order Update - ${order._id}`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
-                <h2 style="margin: 0;">Order Status Update</h2>
-              </div>
-              <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;">
-                <p>Hi ${order.customer.fullName},</p>
-                <p>${statusMessages[orderStatus] || `Your order status has been updated to: <strong>${orderStatus}</strong>`}</p>
-                
-                <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                  <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order._id}</p>
-                  <p style="margin: 5px 0;"><strong>Status:</strong> <span style="color: #0f5132; font-weight: bold;">${orderStatus.toUpperCase()}</span></p>
-                  <p style="margin: 5px 0;"><strong>Total:</strong> ₵${order.totalAmount.toFixed(2)}</p>
-                </div>
-
-                ${orderStatus === "delivered" ? `
-                  <p>If you have any issues with your order, please contact us immediately.</p>
-                ` : ""}
-
-                <p style="margin-top: 20px; color: #666; font-size: 14px;">
-                  Thank you for choosing us!
-                </p>
-              </div>
-            </div>
-          `,
-        });
-
-        logOrderEvent("STATUS_EMAIL_SENT", {
-          orderId: order._id,
-          email: order.customer.email,
-          status: orderStatus,
-        });
-      } catch (emailError) {
-        console.error("Failed to send status update email:", emailError);
-        logOrderEvent("STATUS_EMAIL_FAILED", {
-          orderId: order._id,
-          error: emailError.message,
-        });
-      }
-    }
+    await sendOrderStatusEmail(updated, orderStatus);
 
     return res.json({ 
       success: true, 
       message: "Order status updated successfully", 
-      order 
+      order: updated 
     });
   } catch (error) {
     console.error("Update order status error:", error);
@@ -337,11 +379,11 @@ export const cancelOrder = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user?._id || req.user?.id;
-    const isAdmin = req.user?.isAdmin;
+    const canCancelAny = userCan(req.user, "orders:cancel_any");
 
-    const order = await Order.findById(id).populate("userId", "email name fullName");
+    const current = await Order.findById(id).populate("userId", "email name fullName");
 
-    if (!order) {
+    if (!current) {
       return res.status(404).json({ 
         success: false, 
         message: "Order not found" 
@@ -349,42 +391,117 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check authorization (owner or admin)
-    const orderUserId = order.userId?._id?.toString() || order.userId?.toString();
+    const orderUserId = current.userId?._id?.toString() || current.userId?.toString();
     const requestUserId = userId?.toString();
 
-    if (orderUserId !== requestUserId && !isAdmin) {
+    if (orderUserId !== requestUserId && !canCancelAny) {
       return res.status(403).json({ 
         success: false, 
         message: "Not authorized to cancel this order" 
       });
     }
 
+    if (current.orderStatus === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Order is already cancelled",
+      });
+    }
+
     // Prevent cancellation of already shipped/delivered orders
-    const nonCancellableStatuses = ["shipped", "delivered", "completed"];
-    if (nonCancellableStatuses.includes(order.orderStatus)) {
+    if (!canTransition(current.orderStatus, "cancelled")) {
       return res.status(400).json({
         success: false,
-        message: `Cannot cancel order with status: ${order.orderStatus}`,
+        message: `Cannot cancel order with status: ${current.orderStatus}`,
       });
     }
 
-    // Update order status
-    order.orderStatus = "cancelled";
-    order.paymentStatus = order.paymentStatus === "paid" ? "refunded" : "cancelled";
-    await order.save();
+    // Update order status — only if nothing (a payment, another cancel, an
+    // admin) changed the order since we read it, so the side effects below run once
+    const previousStatus = current.orderStatus;
+    // Partially refunded orders still hold money; their refund state stays as is
+    const wasPaid = REFUNDABLE_PAYMENT_STATUSES.includes(current.paymentStatus);
+    const refundable = wasPaid ? getRefundableAmount(current) : 0;
+    const order = await transitionOrder(
+      current,
+      "cancelled",
+      {
+        by: req.user,
+        source: orderUserId === requestUserId ? "customer" : "admin",
+        note: req.body?.reason || "",
+      },
+      {
+        guard: { paymentStatus: current.paymentStatus },
+        set: ["pending", "failed", "unpaid"].includes(current.paymentStatus) ? { paymentStatus: "cancelled" } : {},
+      }
+    );
+
+    if (!order) {
+      return res.status(409).json({
+        success: false,
+        message: "The order changed while it was being cancelled. Reload and try again.",
+      });
+    }
 
     logOrderEvent("ORDER_CANCELLED", {
       orderId: order._id,
       cancelledBy: req.user.email || requestUserId,
-      previousStatus: order.orderStatus,
+      previousStatus,
     });
 
+    // Paid and cash-on-delivery orders have taken stock — put it back.
+    // Unpaid online checkouts may still hold a reservation instead.
+    try {
+      if (wasPaid || order.stockCommitted) {
+        await restoreStock(order.items);
+        logOrderEvent("STOCK_RESTORED", { orderId: order._id });
+      } else {
+        await releaseReservation(order.paystackReference, "order cancelled");
+      }
+    } catch (stockError) {
+      console.error("Failed to restore stock:", stockError);
+      logOrderEvent("STOCK_RESTORE_FAILED", {
+        orderId: order._id,
+        error: stockError.message,
+      });
+    }
+
+    // A cancelled order doesn't use up its promo code or its delivery slot
+    if (order.discount) {
+      await releasePromotionUse(order.paystackReference, "order cancelled").catch((err) =>
+        console.error("Failed to release promo code:", err)
+      );
+    }
+    if (order.deliverySlot) {
+      await releaseSlotBooking(order.paystackReference, "order cancelled").catch((err) =>
+        console.error("Failed to release delivery slot:", err)
+      );
+    }
+
+    // Refund whatever is left of the payment through its provider
+    let refund = null;
+    if (refundable > 0) {
+      try {
+        refund = await requestRefund(order, {
+          reason: req.body?.reason || "Order cancelled",
+          by: req.user,
+          source: "cancellation",
+        });
+      } catch (refundError) {
+        console.error("Failed to request refund:", refundError);
+        logOrderEvent("REFUND_REQUEST_FAILED", {
+          orderId: order._id,
+          error: refundError.message,
+        });
+      }
+    }
+
     // Send cancellation email
     if (order.customer?.email) {
       try {
         await sendEmail({
           to: order.customer.email,
-          subject: `Order Cancelled - ${order._id}`,
+          subject: `Order Cancelled - ${order.orderNumber || order._id}`,
           html: `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
               <div style="background: #dc3545; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
@@ -395,10 +512,13 @@ export const cancelOrder = async (req, res) => {
                 <p>Your order has been cancelled as requested.</p>
                 
                 <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-                  <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order._id}</p>
+                  <p style="margin: 5px 0;"><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
                   <p style="margin: 5px 0;"><strong>Total Amount:</strong> ₵${order.totalAmount.toFixed(2)}</p>
-                  ${order.paymentStatus === "refunded" ? `
-                    <p style="margin: 5px 0; color: #0f5132;"><strong>Refund Status:</strong> Your refund will be processed within 5-7 business days.</p>
+                  ${refund && refund.status !== "failed" ? `
+                    <p style="margin: 5px 0; color: #0f5132;"><strong>Refund:</strong> ₵${refund.amount.toFixed(2)} is on its way back to you and should arrive within 5-7 business days.</p>
+                  ` : ""}
+                  ${refundable > 0 && (!refund || refund.status === "failed") ? `
+                    <p style="margin: 5px 0;"><strong>Refund:</strong> Our team will contact you about your refund shortly.</p>
                   ` : ""}
                 </div>
 
@@ -428,7 +548,7 @@ export const cancelOrder = async (req, res) => {
     return res.json({ 
       success: true, 
       message: "Order cancelled successfully", 
-      order 
+      order: refund?.ownerDocument() || order 
     });
   } catch (error) {
     console.error("Cancel order error:", error);
@@ -438,4 +558,194 @@ export const cancelOrder = async (req, res) => {
       message: "Failed to cancel order" 
     });
   }
-};
\ No newline at end of file
+};
+
+/* ==================== REFUND ORDER (ADMIN) ==================== */
+export const refundOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A refund reason is required",
+      });
+    }
+
+    if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "Refund amount must be a positive number",
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Order not found" 
+      });
+    }
+
+    const refund = await requestRefund(order, {
+      amount: amount ?? null,
+      reason: String(reason).trim(),
+      by: req.user,
+      source: "admin",
+    });
+
+    logOrderEvent("REFUND_REQUESTED", {
+      orderId: order._id,
+      amount: refund.amount,
+      refundStatus: refund.status,
+      requestedBy: req.user.email || req.user._id,
+    });
+
+    return res.status(refund.status === "failed" ? 502 : 201).json({
+      success: refund.status !== "failed",
+      message:
+        refund.status === "failed"
+          ? "The payment provider rejected the refund"
+          : refund.status === "queued"
+            ? "Refund queued — it will be retried shortly"
+            : refund.status === "processed"
+              ? "Refund recorded"
+              : "Refund submitted to the payment provider",
+      refund,
+      order: refund.ownerDocument(),
+    });
+  } catch (error) {
+    console.error("Refund order error:", error);
+
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : "Failed to refund order",
+    });
+  }
+};
+
+/* ==================== MARK CASH ORDER PAID (ADMIN) ==================== */
+// Records cash collected for a cash-on-delivery order
+export const markOrderPaid = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: "Order not found" 
+      });
+    }
+
+    if (order.paymentMethod !== "cash_on_delivery") {
+      return res.status(400).json({
+        success: false,
+        message: "Only cash-on-delivery orders can be marked paid manually",
+      });
+    }
+
+    if (order.orderStatus === "cancelled") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot mark a cancelled order as paid",
+      });
+    }
+
+    const paid = await markOrderPaidOffline(order, {
+      by: req.user.email || String(req.user._id),
+      note: req.body?.note || "",
+    });
+
+    if (!paid) {
+      return res.status(409).json({
+        success: false,
+        message: `Order payment is already ${order.paymentStatus}`,
+      });
+    }
+
+    logOrderEvent("ORDER_MARKED_PAID", {
+      orderId: paid._id,
+      amount: paid.amountPaid,
+      markedBy: req.user.email || req.user._id,
+    });
+
+    return res.json({
+      success: true,
+      message: "Order marked as paid",
+      order: paid,
+    });
+  } catch (error) {
+    console.error("Mark order paid error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to mark order as paid",
+    });
+  }
+};
+
+/* ==================== ASSIGN RIDER (ADMIN) ==================== */
+// Hand a confirmed or processing order to a rider; can be reassigned until picked up
+export const assignRider = async (req, res) => {
+  try {
+    const { riderId, note = "" } = req.body;
+    if (!riderId || !mongoose.isValidObjectId(riderId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid riderId is required",
+      });
+    }
+
+    const rider = await User.findById(riderId).select("role username fullName phone");
+    if (!rider || rider.role !== "rider") {
+      return res.status(400).json({
+        success: false,
+        message: "That user is not a rider",
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!["confirmed", "processing"].includes(order.orderStatus) || order.delivery?.pickedUpAt) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign a rider to an order that is ${order.orderStatus}`,
+      });
+    }
+
+    const previousRiderId = order.delivery?.riderId || null;
+    order.delivery = {
+      riderId: rider._id,
+      assignedAt: new Date(),
+      assignedBy: req.user._id,
+      note,
+    };
+    await order.save();
+
+    logOrderEvent("RIDER_ASSIGNED", {
+      orderId: order._id,
+      riderId: rider._id,
+      previousRiderId,
+      assignedBy: req.user.email || req.user._id,
+    });
+
+    return res.json({
+      success: true,
+      message: previousRiderId ? "Rider reassigned" : "Rider assigned",
+      order,
+    });
+  } catch (error) {
+    console.error("Assign rider error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to assign rider",
+    });
+  }
+};
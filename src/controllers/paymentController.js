@@ -1,10 +1,41 @@
 // src/controllers/paymentController.js
-import crypto from "crypto";
-import axios from "axios";
 import Order from "../models/order.js";
 import Cart from "../models/cart.js";
 import User from "../models/user.js";
-import { sendEmail } from "../utils/Email.js";
+import { priceCartItems, summarizeTotals, isBlockingIssue } from "../utils/pricing.js";
+import { resolvePromotion, claimPromotionUse, releasePromotionUse } from "../utils/promotions.js";
+import { quoteDelivery } from "../utils/delivery.js";
+import {
+  getDeliverySettings,
+  findSlot,
+  bookSlot,
+  releaseSlotBooking,
+} from "../utils/deliverySlots.js";
+import {
+  reserveItems,
+  consumeReservation,
+  releaseReservation,
+  releaseUserReservations,
+  releaseGuestReservations,
+} from "../utils/reservations.js";
+import {
+  fulfillOrder,
+  confirmCashOnDeliveryOrder,
+  PAYABLE_STATUSES,
+} from "../utils/fulfillment.js";
+import {
+  getProvider,
+  getEnabledPaymentMethods,
+  generateReference,
+} from "../providers/index.js";
+import {
+  recordWebhookEvent,
+  processWebhookEvent,
+  isProcessable,
+} from "../utils/webhookInbox.js";
+import { restoreStock } from "../utils/inventory.js";
+import { statusEntry } from "../utils/orderStatus.js";
+import { generateOrderNumber } from "../utils/orderNumber.js";
 
 /* ==================== HELPERS ==================== */
 
@@ -16,15 +47,6 @@ const logEvent = (event, data) => {
   });
 };
 
-// Verify Paystack webhook signature
-const verifyPaystackSignature = (req) => {
-  const hash = crypto
-    .createHmac("sha512", process.env.PAYSTACK_SECRET_KEY)
-    .update(JSON.stringify(req.body))
-    .digest("hex");
-  return hash === req.headers["x-paystack-signature"];
-};
-
 // Validate customer data
 const validateCustomer = (customer) => {
   const errors = [];
@@ -43,199 +65,15 @@ const validateCustomer = (customer) => {
   return errors;
 };
 
-// Normalize and calculate order items
-const normalizeItems = (items) => {
-  let total = 0;
-  let totalQty = 0;
-
-  const normalized = items
-    .filter(item => item && item.drinkId)
-    .map(item => {
-      const price = Number(item.price || 0);
-      const quantity = Math.max(1, Number(item.quantity || 1));
-      const subtotal = price * quantity;
-      
-      total += subtotal;
-      totalQty += quantity;
-
-      return {
-        drinkId: item.drinkId,
-        name: item.name || "Item",
-        pack: item.pack || "",
-        price,
-        quantity,
-        subtotal,
-        image: item.image || "",
-      };
-    });
-
-  return { items: normalized, total, totalQty };
-};
-
-// Send customer confirmation email
-const sendCustomerEmail = async (order, customer, items, totalAmount) => {
-  if (!customer?.email) return;
-
-  try {
-    const itemsHTML = items
-      .map(
-        (it) =>
-          `<li>${it.quantity} × ${it.name} ${it.pack ? `(${it.pack})` : ""} — ₵${it.price.toFixed(2)}</li>`
-      )
-      .join("");
-
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
-          <h2 style="margin: 0;">Order Confirmed ✅</h2>
-        </div>
-        <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;">
-          <p>Hi ${customer.fullName},</p>
-          <p>Thank you for your order! Your payment has been confirmed.</p>
-          
-          <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
-            <p style="margin: 5px 0;"><strong>Order ID:</strong> ${order._id}</p>
-            <p style="margin: 5px 0;"><strong>Reference:</strong> ${order.paystackReference}</p>
-            ${order.deliveryDate ? `<p style="margin: 5px 0;"><strong>Delivery:</strong> ${order.deliveryDate} ${order.deliveryTime || ""}</p>` : ""}
-          </div>
-
-          <h3>Order Summary:</h3>
-          <ul style="padding-left: 20px;">${itemsHTML}</ul>
-          
-          <div style="text-align: right; margin-top: 20px; padding-top: 15px; border-top: 2px solid #0f5132;">
-            <p style="margin: 0; font-size: 20px; font-weight: bold;">Total: ₵${totalAmount.toFixed(2)}</p>
-          </div>
-
-          <p style="margin-top: 20px; color: #666; font-size: 14px;">
-            We'll notify you when your order is ready for delivery.
-          </p>
-        </div>
-      </div>
-    `;
-
-    await sendEmail({
-      to: customer.email,
-      subject: `Order Confirmed - ${order._id}`,
-      html,
-    });
-
-    logEvent("CUSTOMER_EMAIL_SENT", { 
-      orderId: order._id, 
-      email: customer.email 
-    });
-  } catch (error) {
-    console.error("Failed to send customer email:", error);
-    logEvent("CUSTOMER_EMAIL_FAILED", { 
-      orderId: order._id, 
-      error: error.message 
-    });
-  }
-};
-
-// Send admin notification email
-const sendAdminEmail = async (order, customer, items, totalAmount) => {
-  if (!process.env.ADMIN_EMAIL) return;
-
-  try {
-    const itemsRows = items
-      .map(
-        (it) => `
-        <tr>
-          <td style="padding: 8px; border: 1px solid #ddd;">
-            <img src="${it.image || 'https://via.placeholder.com/60'}" width="60" style="border-radius: 4px;" alt="${it.name}">
-          </td>
-          <td style="padding: 8px; border: 1px solid #ddd;">
-            <strong>${it.name}</strong>
-            ${it.pack ? `<br><small style="color: #666;">Pack: ${it.pack}</small>` : ""}
-          </td>
-          <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${it.quantity}</td>
-          <td style="padding: 8px; border: 1px solid #ddd; text-align: right;">₵${it.price.toFixed(2)}</td>
-          <td style="padding: 8px; border: 1px solid #ddd; text-align: right;">₵${it.subtotal.toFixed(2)}</td>
-        </tr>
-      `
-      )
-      .join("");
-
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
-        <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
-          <h2 style="margin: 0;">🛒 New Order Received</h2>
-          <p style="margin: 10px 0 0;">Order ID: <strong>${order._id}</strong></p>
-        </div>
-        
-        <div style="padding: 20px; border: 1px solid #ddd; border-top: none; border-radius: 0 0 8px 8px;">
-          <h3 style="margin-top: 0;">Customer Information</h3>
-          <table style="width: 100%; margin-bottom: 20px;">
-            <tr>
-              <td style="padding: 5px 0;"><strong>Name:</strong></td>
-              <td>${customer.fullName}</td>
-            </tr>
-            <tr>
-              <td style="padding: 5px 0;"><strong>Email:</strong></td>
-              <td>${customer.email}</td>
-            </tr>
-            <tr>
-              <td style="padding: 5px 0;"><strong>Phone:</strong></td>
-              <td>${customer.phone}</td>
-            </tr>
-            <tr>
-              <td style="padding: 5px 0;"><strong>Address:</strong></td>
-              <td>${customer.address}${customer.city ? `, ${customer.city}` : ""}</td>
-            </tr>
-          </table>
-
-          <h3>Order Items</h3>
-          <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
-            <thead>
-              <tr style="background: #f5f5f5;">
-                <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Image</th>
-                <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Product</th>
-                <th style="padding: 8px; border: 1px solid #ddd; text-align: center;">Qty</th>
-                <th style="padding: 8px; border: 1px solid #ddd; text-align: right;">Unit Price</th>
-                <th style="padding: 8px; border: 1px solid #ddd; text-align: right;">Subtotal</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${itemsRows}
-            </tbody>
-          </table>
-
-          <div style="background: #f8f9fa; padding: 15px; border-radius: 5px;">
-            <p style="margin: 5px 0;"><strong>Total Items:</strong> ${order.totalItems}</p>
-            ${order.deliveryDate ? `<p style="margin: 5px 0;"><strong>Delivery:</strong> ${order.deliveryDate} ${order.deliveryTime || ""}</p>` : ""}
-            <p style="margin: 5px 0;"><strong>Payment Reference:</strong> ${order.paystackReference}</p>
-            <p style="margin: 15px 0 5px; font-size: 20px; font-weight: bold; color: #0f5132;">
-              Total: ₵${totalAmount.toFixed(2)}
-            </p>
-          </div>
-
-          <p style="margin-top: 20px; font-size: 12px; color: #666;">
-            Log into your admin dashboard to manage this order.
-          </p>
-        </div>
-      </div>
-    `;
-
-    await sendEmail({
-      to: process.env.ADMIN_EMAIL,
-      subject: `🛒 New Order — ₵${totalAmount.toFixed(2)}`,
-      html,
-    });
-
-    logEvent("ADMIN_EMAIL_SENT", { 
-      orderId: order._id 
-    });
-  } catch (error) {
-    console.error("Failed to send admin email:", error);
-    logEvent("ADMIN_EMAIL_FAILED", { 
-      orderId: order._id, 
-      error: error.message 
-    });
-  }
-};
-
 /* ==================== 1. INITIALIZE PAYMENT ==================== */
 export const initializePayment = async (req, res) => {
+  let reservedReference = null;
+  let pendingOrderId = null;
+  let promotionReference = null;
+  let slotReference = null;
+  // Items a cash-on-delivery order has taken off stock for good
+  let committedItems = null;
+
   try {
     const {
       email: checkoutEmail,
@@ -247,28 +85,73 @@ export const initializePayment = async (req, res) => {
       deliveryDate = null,
       deliveryTime = null,
       vendor = "",
+      paymentMethod = "paystack",
+      mobileMoney = null,
+      addressId = null,
+      promoCode = "",
+      deliverySlot: slotKey = "",
     } = req.body;
 
-    const userId = req.user?._id;
-    if (!userId) {
-      return res.status(401).json({ 
-        success: false, 
-        message: "Authentication required" 
+    // Signed-in customer, or a guest checking out their cart (see cartSession)
+    const userId = req.user?._id || null;
+    const guestId = userId ? null : req.guestId;
+
+    // REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true in .env blocks unverified accounts
+    if (
+      userId &&
+      process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === "true" &&
+      !req.user.emailVerified
+    ) {
+      return res.status(403).json({
+        success: false,
+        code: "EMAIL_NOT_VERIFIED",
+        message: "Please verify your email address before checking out",
       });
     }
 
-    // Build customer object
+    // Saved address: the one asked for, else the default when no address was typed
+    let savedAddress = null;
+    if (addressId) {
+      savedAddress = req.user?.addresses?.id(addressId) || null;
+      if (!savedAddress) {
+        return res.status(400).json({
+          success: false,
+          message: "Saved address not found",
+        });
+      }
+    } else if (!address) {
+      savedAddress = req.user?.addresses?.find((a) => a.isDefault) || null;
+    }
+
+    // Build customer object (typed fields win over the saved address and profile)
     const customer = {
-      fullName: fullName || req.user?.fullName || "",
+      fullName: fullName || savedAddress?.fullName || req.user?.fullName || req.user?.username || "",
       email: checkoutEmail || req.user?.email || "",
-      phone: phone || req.user?.phone || "",
-      address: address || req.user?.address || "",
-      city: city || req.user?.city || "",
-      country: country || req.user?.country || "Ghana",
+      phone: phone || savedAddress?.phone || req.user?.phone || "",
+      address: address || savedAddress?.address || "",
+      area: req.body.area || savedAddress?.area || "",
+      city: city || savedAddress?.city || "",
+      country: req.body.country || savedAddress?.country || country,
+      landmark: req.body.landmark || savedAddress?.landmark || "",
+      location: req.body.location || savedAddress?.location || null,
     };
 
-    // Validate customer information
-    const validationErrors = validateCustomer(customer);
+    const provider = getEnabledPaymentMethods().includes(paymentMethod)
+      ? getProvider(paymentMethod)
+      : null;
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        message: "Unsupported payment method",
+        paymentMethods: getEnabledPaymentMethods(),
+      });
+    }
+
+    // Validate customer (and provider-specific) information
+    const validationErrors = [
+      ...validateCustomer(customer),
+      ...(provider.validate ? provider.validate({ mobileMoney }) : []),
+    ];
     if (validationErrors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -278,7 +161,7 @@ export const initializePayment = async (req, res) => {
     }
 
     // Get cart items from database
-    const cartItems = await Cart.find({ userId }).populate({
+    const cartItems = await Cart.find(req.cartOwner).populate({
       path: "drinkId",
       strictPopulate: false,
     });
@@ -290,37 +173,20 @@ export const initializePayment = async (req, res) => {
       });
     }
 
-    // Build items array with server-side prices (NEVER trust frontend)
-    const items = [];
-    let total = 0;
-
-    for (const item of cartItems) {
-      if (!item.drinkId) continue;
-
-      // Get price from database
-      let price = item.price;
-      if (!price) {
-        const packs = item.drinkId.packs || item.drinkId.pack || [];
-        const selectedPack = packs.find(
-          (p) => String(p.pack || p.packSize) === String(item.pack)
-        );
-        price = selectedPack?.price || packs[0]?.price || 0;
-      }
+    // Server-side prices, shared with the cart summary (NEVER trust frontend)
+    const priced = priceCartItems(cartItems);
+    const blockingIssues = priced.issues.filter(isBlockingIssue);
 
-      const quantity = Math.max(1, Number(item.quantity || 1));
-      const subtotal = price * quantity;
-      total += subtotal;
-
-      items.push({
-        drinkId: item.drinkId._id,
-        name: item.drinkId.name,
-        price,
-        quantity,
-        pack: item.pack,
-        image: item.drinkId.imageUrl || item.drinkId.image || "",
+    if (blockingIssues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items in your cart are no longer available in that quantity",
+        errors: blockingIssues.map((i) => i.message),
+        issues: blockingIssues,
       });
     }
 
+    const { items } = priced;
     if (items.length === 0) {
       return res.status(400).json({
         success: false,
@@ -328,49 +194,226 @@ export const initializePayment = async (req, res) => {
       });
     }
 
+    // Delivery zone for the address: fee, minimum order and lead time
+    const delivery = await quoteDelivery(customer, priced.subtotal);
+    if (!delivery.deliverable) {
+      return res.status(400).json({
+        success: false,
+        code: delivery.code,
+        message: delivery.error,
+        ...(delivery.zone && { deliveryZone: delivery.zone }),
+      });
+    }
+
+    // With a delivery schedule the customer picks a slot (booked once we have a reference);
+    // without one, a free-form deliveryDate only has to respect the zone's lead time
+    const schedule = await getDeliverySettings();
+    const earliestDeliveryAt = delivery.earliestDeliveryAt || new Date();
+    let slot = null;
+    const requestedDate = deliveryDate ? new Date(deliveryDate) : null;
+
+    if (schedule) {
+      if (!slotKey) {
+        return res.status(400).json({
+          success: false,
+          code: "SLOT_REQUIRED",
+          message: "Please choose a delivery slot",
+        });
+      }
+      slot = findSlot(schedule, slotKey);
+      if (!slot || slot.startsAt <= earliestDeliveryAt) {
+        return res.status(400).json({
+          success: false,
+          code: slot ? "SLOT_PAST" : "SLOT_INVALID",
+          message: slot
+            ? "That delivery slot is no longer available — please pick a later one"
+            : "That delivery slot isn't offered",
+        });
+      }
+    } else if (requestedDate && !isNaN(requestedDate) && delivery.earliestDeliveryAt) {
+      const endOfRequestedDay = new Date(requestedDate);
+      endOfRequestedDay.setHours(23, 59, 59, 999);
+      if (endOfRequestedDay < delivery.earliestDeliveryAt) {
+        return res.status(400).json({
+          success: false,
+          code: "LEAD_TIME",
+          message: `The earliest delivery to ${delivery.zone.name} is ${delivery.earliestDeliveryAt.toDateString()}`,
+          earliestDeliveryAt: delivery.earliestDeliveryAt,
+        });
+      }
+    }
+
+    // Promo code is checked against the server-priced cart
+    let promo = null;
+    if (promoCode) {
+      promo = await resolvePromotion(promoCode, {
+        priced,
+        userId,
+        email: customer.email,
+        deliveryFee: delivery.fee,
+      });
+      if (promo.error) {
+        return res.status(400).json({
+          success: false,
+          code: "PROMO_INVALID",
+          message: promo.error,
+        });
+      }
+    }
+
+    const totals = summarizeTotals(priced, {
+      deliveryFee: delivery.fee,
+      discount: promo?.discount,
+      deliveryDiscount: promo?.deliveryDiscount,
+    });
+    const total = totals.total;
+
     // Paystack expects amount in pesewas (kobo)
     const amount = Math.round(total * 100);
+    const totalItems = totals.itemCount;
+
+    // Hold stock until the payment is confirmed (or the reservation expires).
+    // A new checkout replaces any hold left over from an earlier attempt.
+    const reference = generateReference(provider);
+    if (userId) await releaseUserReservations(userId);
+    else await releaseGuestReservations(guestId);
+    const { failed } = await reserveItems(reference, userId, items, { guestId });
+    if (failed.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items in your cart are no longer available in that quantity",
+        errors: failed.map((f) => `${f.name || "Item"} (pack ${f.pack}) is out of stock`),
+      });
+    }
+    reservedReference = reference;
+
+    if (promo) {
+      const { claimed, error: claimError } = await claimPromotionUse({
+        promotion: promo.promotion,
+        reference,
+        userId,
+        email: customer.email,
+        discount: totals.discount + totals.deliveryDiscount,
+      });
+      if (!claimed) {
+        const error = new Error(claimError);
+        error.status = 409;
+        throw error;
+      }
+      promotionReference = reference;
+    }
+
+    if (slot) {
+      const booking = await bookSlot(schedule, { key: slot.key, reference, earliestAt: earliestDeliveryAt });
+      if (booking.error) {
+        const error = new Error(booking.error);
+        error.status = booking.code === "SLOT_FULL" ? 409 : 400;
+        throw error;
+      }
+      slotReference = reference;
+    }
+
+    const confirmsNow = Boolean(provider.confirmsOnInitialize);
 
-    // Prepare metadata (use consistent structure)
-    const metadata = {
-      userId: userId.toString(),
+    // Persist the order now with server-priced items; online payments are
+    // only marked paid by the webhook (or the verify fallback)
+    const order = await Order.create({
+      orderNumber: await generateOrderNumber(),
+      userId,
+      guestId,
       customer,
       items,
-      deliveryDate,
-      deliveryTime,
-      vendor,
-      calculatedTotal: total, // For verification in webhook
-    };
+      subtotal: totals.subtotal,
+      discount: promo
+        ? {
+            promotionId: promo.promotion._id,
+            code: promo.promotion.code,
+            type: promo.promotion.type,
+            description: promo.promotion.description,
+            amount: totals.discount,
+            deliveryAmount: totals.deliveryDiscount,
+          }
+        : null,
+      deliveryFee: totals.deliveryFee,
+      deliveryZone: delivery.zone
+        ? {
+            zoneId: delivery.zone.zoneId,
+            name: delivery.zone.name,
+            leadTimeMinutes: delivery.zone.leadTimeMinutes,
+          }
+        : null,
+      totalAmount: total,
+      totalItems,
+      deliveryDate: slot ? slot.startsAt : deliveryDate || null,
+      deliveryTime: slot ? `${slot.start}-${slot.end}` : deliveryTime || null,
+      deliverySlot: slot ? { key: slot.key, date: slot.date, start: slot.start, end: slot.end } : null,
+      vendor: vendor || "",
+      paymentMethod: provider.name,
+      paystackReference: reference,
+      paymentStatus: confirmsNow ? "unpaid" : "pending",
+      orderStatus: confirmsNow ? "confirmed" : "pending",
+      stockCommitted: confirmsNow,
+      statusHistory: [
+        statusEntry({
+          status: "pending",
+          by: userId,
+          source: "customer",
+          note: "Checkout started",
+        }),
+        ...(confirmsNow
+          ? [
+              statusEntry({
+                status: "confirmed",
+                from: "pending",
+                by: userId,
+                source: "customer",
+                note: "Cash on delivery",
+              }),
+            ]
+          : []),
+      ],
+    });
+    pendingOrderId = order._id;
+
+    // Cash on delivery is confirmed now, so its reserved stock is taken for good
+    if (confirmsNow) {
+      await consumeReservation(reference);
+      reservedReference = null;
+      committedItems = items;
+    }
 
     logEvent("INIT_PAYMENT", {
+      orderId: order._id,
       userId,
+      guestId,
+      reference,
+      paymentMethod: provider.name,
       email: customer.email,
       amount: total,
       itemCount: items.length,
+      promoCode: promo?.promotion.code,
     });
 
-    // Initialize payment with Paystack
-    const response = await axios.post(
-      "https://api.paystack.co/transaction/initialize",
-      {
-        email: customer.email,
-        amount,
-        currency: "GHS",
-        callback_url: `${process.env.FRONTEND_URL}/orders`,
-        metadata,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
-    );
+    // Hand over to the provider (redirect URL, phone prompt, or nothing for cash)
+    const payment = await provider.initialize({ order, amount, reference, mobileMoney });
+
+    if (payment.status === "failed") {
+      const error = new Error(payment.displayText || "Payment was declined");
+      error.status = 402;
+      throw error;
+    }
+
+    if (confirmsNow) await confirmCashOnDeliveryOrder(order);
 
     return res.json({
       success: true,
-      authorization_url: response.data.data.authorization_url,
-      reference: response.data.data.reference,
+      orderId: order._id,
+      paymentMethod: provider.name,
+      reference: payment.reference,
+      status: payment.status,
+      totals,
+      ...(payment.authorizationUrl && { authorization_url: payment.authorizationUrl }),
+      ...(payment.displayText && { display_text: payment.displayText }),
     });
   } catch (error) {
     console.error("Payment initialization error:", error);
@@ -379,6 +422,60 @@ export const initializePayment = async (req, res) => {
       response: error.response?.data,
     });
 
+    if (reservedReference) {
+      await releaseReservation(reservedReference, "initialization failed").catch((err) =>
+        console.error("Failed to release reservation:", err)
+      );
+    }
+    if (slotReference) {
+      await releaseSlotBooking(slotReference, "initialization failed").catch((err) =>
+        console.error("Failed to release delivery slot:", err)
+      );
+    }
+    if (promotionReference) {
+      await releasePromotionUse(promotionReference, "initialization failed").catch((err) =>
+        console.error("Failed to release promo code:", err)
+      );
+    }
+    if (pendingOrderId) {
+      // A cash-on-delivery order was already confirmed and holds its stock
+      const result = await Order.updateOne(
+        { _id: pendingOrderId, paymentStatus: committedItems ? "unpaid" : "pending" },
+        {
+          $set: {
+            orderStatus: "cancelled",
+            ...(committedItems && { paymentStatus: "cancelled", stockCommitted: false }),
+          },
+          $push: {
+            statusHistory: statusEntry({
+              status: "cancelled",
+              from: committedItems ? "confirmed" : "pending",
+              note: "Payment initialization failed",
+            }),
+          },
+        }
+      ).catch((err) => console.error("Failed to cancel pending order:", err));
+
+      if (committedItems && result?.modifiedCount) {
+        await restoreStock(committedItems).catch((err) => console.error("Failed to restore stock:", err));
+      }
+    }
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order information",
+        errors: Object.values(error.errors).map((e) => e.message),
+      });
+    }
+
     return res.status(500).json({
       success: false,
       message: "Payment initialization failed. Please try again.",
@@ -394,141 +491,39 @@ export const webhookPayment = async (req, res) => {
 console.log('🔔 WEBHOOK HIT! Event:', req.body?.event, 'Reference:', req.body?.data?.reference); 
   try {
     // CRITICAL: Verify webhook signature
-    if (!verifyPaystackSignature(req)) {
+    const { valid: signatureValid } = getProvider("paystack").parseWebhook(req);
+
+    // Forged or unsigned requests are only logged, never stored
+    if (!signatureValid) {
       logEvent("WEBHOOK_INVALID_SIGNATURE", {
         ip: req.ip,
         headers: req.headers,
+        event: req.body?.event,
       });
       return res.status(401).send("Invalid signature");
     }
 
-    const { event, data } = req.body;
-
-    // Only process successful charges
-    if (event !== "charge.success") {
-      logEvent("WEBHOOK_IGNORED", { event });
-      return res.status(200).send("Event ignored");
-    }
-
-    const { reference, metadata = {}, amount: paystackAmount } = data;
-
-    // Extract metadata with consistent structure
-    const { userId, customer, items, deliveryDate, deliveryTime, vendor, calculatedTotal } = metadata;
-
-    // Validate required data
-    if (!items || items.length === 0) {
-      logEvent("WEBHOOK_INVALID_ITEMS", { reference });
-      return res.status(400).send("Invalid order items");
-    }
-
-    if (!customer || !customer.email) {
-      logEvent("WEBHOOK_INVALID_CUSTOMER", { reference });
-      return res.status(400).send("Invalid customer data");
-    }
-
-    // Normalize items and calculate totals
-    const { items: normalizedItems, total: totalAmount, totalQty } = normalizeItems(items);
-
-    if (normalizedItems.length === 0) {
-      logEvent("WEBHOOK_NO_VALID_ITEMS", { reference });
-      return res.status(400).send("No valid items");
-    }
-
-    // CRITICAL: Verify payment amount matches calculated total
-    const expectedAmount = Math.round(totalAmount * 100); // Convert to pesewas
-    const amountDifference = Math.abs(paystackAmount - expectedAmount);
-
-    if (amountDifference > 100) { // Allow 1 GHS tolerance
-      logEvent("WEBHOOK_AMOUNT_MISMATCH", {
-        reference,
-        paystackAmount,
-        expectedAmount,
-        difference: amountDifference,
-      });
-
-      // Alert admin about mismatch
-      if (process.env.ADMIN_EMAIL) {
-        try {
-          await sendEmail({
-            to: process.env.ADMIN_EMAIL,
-            subject: `🚨 Payment Amount Mismatch - ${reference}`,
-            html: `
-              <h2>⚠️ Payment Amount Mismatch Detected</h2>
-              <p><strong>Reference:</strong> ${reference}</p>
-              <p><strong>Paystack Amount:</strong> ₵${(paystackAmount / 100).toFixed(2)}</p>
-              <p><strong>Expected Amount:</strong> ₵${totalAmount.toFixed(2)}</p>
-              <p><strong>Difference:</strong> ₵${(amountDifference / 100).toFixed(2)}</p>
-              <p><strong>Customer:</strong> ${customer.email}</p>
-              <p style="color: red;"><strong>Action Required:</strong> Manual review needed</p>
-            `,
-          });
-        } catch (err) {
-          console.error("Failed to send mismatch alert:", err);
-        }
-      }
-    }
-
-    // Use atomic operation to prevent duplicate orders
-    const order = await Order.findOneAndUpdate(
-      { paystackReference: reference },
-      {
-        $setOnInsert: {
-          userId: userId || null,
-          customer,
-          items: normalizedItems,
-          totalAmount,
-          totalItems: totalQty,
-          deliveryDate: deliveryDate || null,
-          deliveryTime: deliveryTime || null,
-          vendor: vendor || "",
-          paystackReference: reference,
-          paymentStatus: "paid",
-          orderStatus: "confirmed",
-          createdAt: new Date(),
-        },
-      },
-      {
-        upsert: true,
-        new: true,
-        setDefaultsOnInsert: true,
-      }
-    );
-
-    // Check if this is a new order (not duplicate webhook)
-    const isNewOrder = order.createdAt > new Date(Date.now() - 10000); // Last 10 seconds
+    // Store every verified delivery before processing so nothing is lost on a crash
+    const { eventDoc, duplicate } = await recordWebhookEvent({
+      body: req.body,
+      rawBody: req.rawBody || JSON.stringify(req.body),
+      ip: req.ip,
+    });
 
-    if (!isNewOrder) {
-      logEvent("WEBHOOK_DUPLICATE", {
-        orderId: order._id,
-        reference,
+    if (duplicate && !isProcessable(eventDoc)) {
+      logEvent("WEBHOOK_DUPLICATE_EVENT", {
+        webhookEventId: eventDoc._id,
+        event: eventDoc.event,
+        status: eventDoc.status,
       });
-      return res.status(200).send("Order already processed");
+      return res.status(200).send("Duplicate event");
     }
 
-    logEvent("WEBHOOK_ORDER_CREATED", {
-      orderId: order._id,
-      reference,
-      totalAmount,
-      email: customer.email,
-    });
-
-    // Send emails (async, don't block response)
-    Promise.all([
-      sendCustomerEmail(order, customer, normalizedItems, totalAmount),
-      sendAdminEmail(order, customer, normalizedItems, totalAmount),
-    ]).catch(err => console.error("Email error:", err));
-
-    // Clear cart
-    if (userId) {
-      try {
-        await Cart.deleteMany({ userId });
-        logEvent("CART_CLEARED", { userId });
-      } catch (err) {
-        console.warn("Failed to clear cart:", err);
-      }
-    }
+    // Always 200 for handled outcomes so Paystack stops retrying
+    const result = await processWebhookEvent(eventDoc);
+    if (!result) return res.status(200).send("Event already being processed");
 
-    return res.status(200).send("Webhook processed successfully");
+    return res.status(200).send(result.message);
   } catch (error) {
     console.error("Webhook error:", error);
     logEvent("WEBHOOK_ERROR", {
@@ -544,82 +539,56 @@ export const verifyPayment = async (req, res) => {
   try {
     const { reference } = req.params;
 
-    // Check if order already exists
-    const existingOrder = await Order.findOne({ paystackReference: reference });
-    if (existingOrder) {
+    const existing = await Order.findOne({ paystackReference: reference });
+    if (!existing) {
+      logEvent("VERIFY_ORDER_NOT_FOUND", { reference });
+      return res.status(404).json({
+        success: false,
+        message: "Order not found for this reference",
+      });
+    }
+
+    // Already confirmed by the webhook (or cash on delivery, which has nothing to verify)
+    if (!PAYABLE_STATUSES.includes(existing.paymentStatus)) {
       logEvent("VERIFY_ORDER_EXISTS", { 
-        orderId: existingOrder._id, 
+        orderId: existing._id, 
         reference 
       });
       return res.redirect(`${process.env.FRONTEND_URL}/orders`);
     }
 
-    // Verify with Paystack
-    const response = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        },
-      }
-    );
-
-    const data = response.data.data;
+    // Verify with the provider that took the payment
+    const data = await getProvider(existing.paymentMethod).verify(reference);
 
     if (data.status !== "success") {
       logEvent("VERIFY_PAYMENT_FAILED", { reference, status: data.status });
+      if (data.status === "failed") {
+        await releaseReservation(reference, "payment failed");
+      }
       return res.status(400).json({
         success: false,
         message: "Payment was not successful",
       });
     }
 
-    // Process similar to webhook (extract and create order)
-    const { metadata = {}, amount: paystackAmount } = data;
-    const { userId, customer, items, deliveryDate, deliveryTime, vendor } = metadata;
+    const { status } = await fulfillOrder({
+      reference,
+      amountPaid: data.amount,
+      source: "verify",
+    });
 
-    if (!items || items.length === 0) {
+    if (status === "amount_mismatch") {
       return res.status(400).json({
         success: false,
-        message: "Invalid order data",
+        message: "Payment amount does not match order total. Our team will review it.",
       });
     }
 
-    const { items: normalizedItems, total: totalAmount, totalQty } = normalizeItems(items);
-
-    const order = await Order.create({
-      userId: userId || null,
-      customer,
-      items: normalizedItems,
-      totalAmount,
-      totalItems: totalQty,
-      deliveryDate: deliveryDate || null,
-      deliveryTime: deliveryTime || null,
-      vendor: vendor || "",
-      paystackReference: reference,
-      paymentStatus: "paid",
-      orderStatus: "confirmed",
-    });
-
-    logEvent("VERIFY_ORDER_CREATED", {
-      orderId: order._id,
-      reference,
-      totalAmount,
-    });
-
-    // Send emails
-    Promise.all([
-      sendCustomerEmail(order, customer, normalizedItems, totalAmount),
-      sendAdminEmail(order, customer, normalizedItems, totalAmount),
-    ]).catch(err => console.error("Email error:", err));
-
-    // Clear cart
-    if (userId) {
-      try {
-        await Cart.deleteMany({ userId });
-      } catch (err) {
-        console.warn("Failed to clear cart:", err);
-      }
+    if (status === "paid_after_cancel") {
+      return res.status(409).json({
+        success: false,
+        message: "This order was cancelled before your payment arrived. Our team will refund you.",
+      });
     }
 
     return res.redirect(`${process.env.FRONTEND_URL}/orders`);
@@ -638,4 +607,65 @@ export const verifyPayment = async (req, res) => {
       }),
     });
   }
-};
\ No newline at end of file
+};
+
+/* ==================== 4. MOBILE MONEY OTP ==================== */
+// Some networks ask for an OTP before sending the approval prompt
+export const submitMobileMoneyOtp = async (req, res) => {
+  try {
+    const { reference, otp } = req.body;
+
+    if (!reference || !otp) {
+      return res.status(400).json({
+        success: false,
+        message: "Reference and OTP are required",
+      });
+    }
+
+    const order = await Order.findOne({
+      paystackReference: reference,
+      ...(req.user ? { userId: req.user._id } : { guestId: req.guestId }),
+      paymentMethod: "mobile_money",
+    });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found for this reference",
+      });
+    }
+
+    if (!PAYABLE_STATUSES.includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order payment is already ${order.paymentStatus}`,
+      });
+    }
+
+    const charge = await getProvider(order.paymentMethod).submitOtp({
+      reference,
+      otp: String(otp).trim(),
+    });
+
+    logEvent("MOMO_OTP_SUBMITTED", { orderId: order._id, reference, status: charge.status });
+
+    return res.json({
+      success: charge.status !== "failed",
+      orderId: order._id,
+      reference,
+      status: charge.status,
+      ...(charge.displayText && { display_text: charge.displayText }),
+    });
+  } catch (error) {
+    console.error("Mobile Money OTP error:", error);
+    logEvent("MOMO_OTP_ERROR", {
+      reference: req.body?.reference,
+      error: error.message,
+      response: error.response?.data,
+    });
+
+    return res.status(error.response?.status === 400 ? 400 : 500).json({
+      success: false,
+      message: error.response?.data?.message || "Failed to submit OTP",
+    });
+  }
+};
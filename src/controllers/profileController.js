@@ -0,0 +1,231 @@
+// src/controllers/profileController.js
+import User from "../models/user.js";
+
+/* ==================== HELPERS ==================== */
+
+const MAX_ADDRESSES = 20;
+
+const ADDRESS_FIELDS = ["label", "fullName", "phone", "address", "area", "city", "country", "landmark"];
+
+// Only the fields a customer may set; `location` may be null to clear the pin
+const pickAddressFields = (body = {}) => {
+  const fields = {};
+  for (const key of ADDRESS_FIELDS) {
+    if (body[key] !== undefined) fields[key] = typeof body[key] === "string" ? body[key].trim() : body[key];
+  }
+  if (body.location === null) {
+    fields.location = null;
+  } else if (body.location !== undefined) {
+    fields.location = { lat: Number(body.location.lat), lng: Number(body.location.lng) };
+  }
+  return fields;
+};
+
+// Exactly one default whenever the book isn't empty
+const ensureSingleDefault = (user, preferred = null) => {
+  if (user.addresses.length === 0) return;
+  const target =
+    preferred ||
+    user.addresses.find((a) => a.isDefault) ||
+    user.addresses[user.addresses.length - 1];
+  user.addresses.forEach((a) => {
+    a.isDefault = a._id.equals(target._id);
+  });
+};
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid profile information",
+    errors: Object.values(error.errors).map((e) => e.message),
+  });
+
+const toProfile = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  fullName: user.fullName,
+  phone: user.phone,
+  role: user.role,
+  addresses: user.addresses,
+});
+
+/* ==================== GET PROFILE ==================== */
+export const getProfile = async (req, res) => {
+  return res.json({ success: true, profile: toProfile(req.user) });
+};
+
+/* ==================== UPDATE PROFILE ==================== */
+// Body: fullName, phone, username (email changes are not supported here)
+export const updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    for (const key of ["fullName", "phone", "username"]) {
+      if (req.body[key] !== undefined) user[key] = String(req.body[key]).trim();
+    }
+    if (!user.username) {
+      return res.status(400).json({
+        success: false,
+        message: "Username cannot be empty",
+      });
+    }
+
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: "Profile updated",
+      profile: toProfile(user),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "That username is already taken",
+      });
+    }
+    console.error("Update profile error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update profile",
+    });
+  }
+};
+
+/* ==================== LIST ADDRESSES ==================== */
+export const listAddresses = async (req, res) => {
+  return res.json({ success: true, addresses: req.user.addresses });
+};
+
+/* ==================== ADD ADDRESS ==================== */
+export const addAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`,
+      });
+    }
+
+    user.addresses.push(pickAddressFields(req.body));
+    const added = user.addresses[user.addresses.length - 1];
+    ensureSingleDefault(user, req.body.isDefault === true ? added : null);
+    await user.save();
+
+    return res.status(201).json({
+      success: true,
+      message: "Address saved",
+      address: added,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    console.error("Add address error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to save address",
+    });
+  }
+};
+
+/* ==================== UPDATE ADDRESS ==================== */
+export const updateAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    address.set(pickAddressFields(req.body));
+    if (req.body.isDefault === true) ensureSingleDefault(user, address);
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: "Address updated",
+      address,
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    console.error("Update address error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update address",
+    });
+  }
+};
+
+/* ==================== SET DEFAULT ADDRESS ==================== */
+export const setDefaultAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    ensureSingleDefault(user, address);
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: "Default address updated",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    console.error("Set default address error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update default address",
+    });
+  }
+};
+
+/* ==================== DELETE ADDRESS ==================== */
+export const deleteAddress = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(req.params.addressId);
+    if (!address) {
+      return res.status(404).json({
+        success: false,
+        message: "Address not found",
+      });
+    }
+
+    address.deleteOne();
+    // The newest remaining address takes over as default
+    ensureSingleDefault(user);
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: "Address deleted",
+      addresses: user.addresses,
+    });
+  } catch (error) {
+    console.error("Delete address error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete address",
+    });
+  }
+};
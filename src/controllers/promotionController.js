@@ -0,0 +1,231 @@
+// src/controllers/promotionController.js
+import Promotion, { PROMOTION_TYPES } from "../models/promotion.js";
+import PromotionRedemption from "../models/promotionRedemption.js";
+import { normalizeCode } from "../utils/promotions.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logPromotionAdminEvent = (event, data) => {
+  console.log(`[PROMOTION_ADMIN ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Fields an admin may set (usageCount is maintained by checkout)
+const PROMOTION_FIELDS = [
+  "code",
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "buyQuantity",
+  "getQuantity",
+  "drinkIds",
+  "packs",
+  "minOrderAmount",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "endsAt",
+  "active",
+];
+
+const pickPromotionFields = (body = {}) => {
+  const fields = {};
+  for (const key of PROMOTION_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  if (fields.code !== undefined) fields.code = normalizeCode(fields.code);
+  return fields;
+};
+
+const validationResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: "Invalid promotion",
+    errors: Object.values(error.errors).map((e) => e.message),
+  });
+
+const duplicateCodeResponse = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "A promotion with this code already exists",
+  });
+
+/* ==================== LIST PROMOTIONS (ADMIN) ==================== */
+// Query: active ("true"/"false"), search (code), page, limit
+export const listPromotions = async (req, res) => {
+  try {
+    const { active, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (active === "true" || active === "false") filter.active = active === "true";
+    if (search) filter.code = { $regex: normalizeCode(search).replace(/[^A-Z0-9_-]/g, "") };
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Promotion.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      count: promotions.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      types: PROMOTION_TYPES,
+      promotions,
+    });
+  } catch (error) {
+    console.error("List promotions error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch promotions",
+    });
+  }
+};
+
+/* ==================== GET PROMOTION (ADMIN) ==================== */
+// Includes the latest redemptions
+export const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id).lean();
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    const redemptions = await PromotionRedemption.find({ promotionId: promotion._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    return res.json({ success: true, promotion, redemptions });
+  } catch (error) {
+    console.error("Get promotion error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch promotion",
+    });
+  }
+};
+
+/* ==================== CREATE PROMOTION (ADMIN) ==================== */
+export const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    logPromotionAdminEvent("CREATED", {
+      promotionId: promotion._id,
+      code: promotion.code,
+      admin: req.user.email || req.user._id,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Promotion created",
+      promotion,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    if (error.code === 11000) return duplicateCodeResponse(res);
+    console.error("Create promotion error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to create promotion",
+    });
+  }
+};
+
+/* ==================== UPDATE PROMOTION (ADMIN) ==================== */
+// Set active: false to switch a code off; used codes are never deleted
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    promotion.set(pickPromotionFields(req.body));
+    await promotion.save();
+
+    logPromotionAdminEvent("UPDATED", {
+      promotionId: promotion._id,
+      code: promotion.code,
+      admin: req.user.email || req.user._id,
+      fields: Object.keys(pickPromotionFields(req.body)),
+    });
+
+    return res.json({
+      success: true,
+      message: "Promotion updated",
+      promotion,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    if (error.code === 11000) return duplicateCodeResponse(res);
+    console.error("Update promotion error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update promotion",
+    });
+  }
+};
+
+/* ==================== DELETE PROMOTION (ADMIN) ==================== */
+// Only codes nobody has used; deactivate the others instead
+export const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: "Promotion not found",
+      });
+    }
+
+    if (await PromotionRedemption.exists({ promotionId: promotion._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "This code has been used on orders; deactivate it instead",
+      });
+    }
+
+    await promotion.deleteOne();
+
+    logPromotionAdminEvent("DELETED", {
+      promotionId: promotion._id,
+      code: promotion.code,
+      admin: req.user.email || req.user._id,
+    });
+
+    return res.json({ success: true, message: "Promotion deleted" });
+  } catch (error) {
+    console.error("Delete promotion error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to delete promotion",
+    });
+  }
+};
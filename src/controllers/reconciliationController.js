@@ -0,0 +1,94 @@
+// src/controllers/reconciliationController.js
+import ReconciliationReport from "../models/reconciliationReport.js";
+import { runReconciliation } from "../utils/reconciliation.js";
+
+/* ==================== LIST REPORTS (ADMIN) ==================== */
+export const listReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select("-issues")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReconciliationReport.countDocuments(),
+    ]);
+
+    return res.json({
+      success: true,
+      count: reports.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      reports,
+    });
+  } catch (error) {
+    console.error("List reconciliation reports error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch reconciliation reports",
+    });
+  }
+};
+
+/* ==================== GET REPORT (ADMIN) ==================== */
+// Use "latest" as the id for the most recent run
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const report =
+      id === "latest"
+        ? await ReconciliationReport.findOne().sort({ createdAt: -1 }).lean()
+        : await ReconciliationReport.findById(id).lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Reconciliation report not found",
+      });
+    }
+
+    return res.json({ success: true, report });
+  } catch (error) {
+    console.error("Get reconciliation report error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch reconciliation report",
+    });
+  }
+};
+
+/* ==================== RUN NOW (ADMIN) ==================== */
+export const runReconciliationNow = async (req, res) => {
+  try {
+    const report = await runReconciliation({
+      trigger: "manual",
+      triggeredBy: req.user._id,
+    });
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: "A reconciliation run is already in progress",
+      });
+    }
+
+    return res.status(report.status === "failed" ? 502 : 200).json({
+      success: report.status === "completed",
+      report,
+    });
+  } catch (error) {
+    console.error("Run reconciliation error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to run reconciliation",
+    });
+  }
+};
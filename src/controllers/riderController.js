@@ -0,0 +1,203 @@
+// src/controllers/riderController.js
+import Order from "../models/order.js";
+import { markOrderPaidOffline } from "../utils/fulfillment.js";
+import { sendOrderStatusEmail } from "../utils/orderNotifications.js";
+import { recordStatusChange } from "../utils/orderStatus.js";
+import { removeUpload } from "../middleware/upload.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logRiderEvent = (event, data) => {
+  console.log(`[RIDER ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const ACTIVE_STATUSES = ["confirmed", "processing", "shipped"];
+const COMPLETED_STATUSES = ["delivered", "completed"];
+
+// What a rider needs on the road: where, who to call, what to hand over, cash to collect
+const RIDER_FIELDS = [
+  "customer",
+  "items",
+  "totalAmount",
+  "paymentMethod",
+  "paymentStatus",
+  "deliveryDate",
+  "deliveryTime",
+  "deliverySlot",
+  "notes",
+  "orderStatus",
+  "delivery",
+  "createdAt",
+].join(" ");
+
+// The order, only if it is assigned to this rider
+const findAssignedOrder = (req, projection) =>
+  Order.findOne({ _id: req.params.id, "delivery.riderId": req.user._id }).select(projection);
+
+/* ==================== MY DELIVERIES ==================== */
+// Query: status=active (default) | completed
+export const getMyDeliveries = async (req, res) => {
+  try {
+    const statuses = req.query.status === "completed" ? COMPLETED_STATUSES : ACTIVE_STATUSES;
+
+    const deliveries = await Order.find({
+      "delivery.riderId": req.user._id,
+      orderStatus: { $in: statuses },
+    })
+      .select(RIDER_FIELDS)
+      .sort(req.query.status === "completed" ? { "delivery.deliveredAt": -1 } : { deliveryDate: 1, createdAt: 1 })
+      .limit(100)
+      .lean();
+
+    return res.json({ success: true, count: deliveries.length, deliveries });
+  } catch (error) {
+    console.error("Get rider deliveries error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch deliveries",
+    });
+  }
+};
+
+/* ==================== ONE DELIVERY ==================== */
+export const getMyDelivery = async (req, res) => {
+  try {
+    const delivery = await findAssignedOrder(req, RIDER_FIELDS).lean();
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    return res.json({ success: true, delivery });
+  } catch (error) {
+    console.error("Get rider delivery error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery",
+    });
+  }
+};
+
+/* ==================== PICKED UP ==================== */
+// processing → shipped; the customer is emailed who is bringing it
+export const markPickedUp = async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    if (order.orderStatus !== "processing") {
+      return res.status(400).json({
+        success: false,
+        message:
+          order.orderStatus === "confirmed"
+            ? "This order isn't ready for pickup yet"
+            : `Cannot pick up an order that is ${order.orderStatus}`,
+      });
+    }
+
+    recordStatusChange(order, "shipped", {
+      by: req.user,
+      source: "rider",
+      note: req.body?.note || "Picked up by rider",
+    });
+    order.delivery.pickedUpAt = new Date();
+    await order.save();
+
+    logRiderEvent("PICKED_UP", { orderId: order._id, riderId: req.user._id });
+
+    await sendOrderStatusEmail(order, "shipped", { rider: req.user });
+
+    return res.json({
+      success: true,
+      message: "Order marked as picked up",
+      delivery: order,
+    });
+  } catch (error) {
+    console.error("Rider pickup error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to mark order as picked up",
+    });
+  }
+};
+
+/* ==================== DELIVERED ==================== */
+// shipped → delivered, with an optional proof-of-delivery photo ("proof")
+// and cashCollected=true for cash-on-delivery orders paid at the door.
+// The photo is uploaded before we get here; it is deleted again if rejected.
+export const markDelivered = async (req, res) => {
+  let proofSaved = false;
+
+  try {
+    const order = await findAssignedOrder(req);
+    if (!order) {
+      await removeUpload(req.file);
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found",
+      });
+    }
+
+    if (order.orderStatus !== "shipped") {
+      await removeUpload(req.file);
+      return res.status(400).json({
+        success: false,
+        message: `Cannot mark an order that is ${order.orderStatus} as delivered`,
+      });
+    }
+
+    const note = req.body?.note || "";
+    recordStatusChange(order, "delivered", {
+      by: req.user,
+      source: "rider",
+      note: note || "Delivered by rider",
+    });
+    order.delivery.deliveredAt = new Date();
+    if (req.file) order.delivery.proofOfDeliveryUrl = req.file.path;
+    if (note) order.delivery.note = note;
+    await order.save();
+    proofSaved = true;
+
+    logRiderEvent("DELIVERED", {
+      orderId: order._id,
+      riderId: req.user._id,
+      proof: Boolean(req.file),
+    });
+
+    // Cash handed over at the door
+    let paid = null;
+    if (order.paymentMethod === "cash_on_delivery" && String(req.body?.cashCollected) === "true") {
+      paid = await markOrderPaidOffline(order, { by: req.user.email || String(req.user._id) });
+    }
+
+    await sendOrderStatusEmail(order, "delivered");
+
+    return res.json({
+      success: true,
+      message: "Order marked as delivered",
+      delivery: paid || order,
+    });
+  } catch (error) {
+    console.error("Rider deliver error:", error);
+    if (!proofSaved) await removeUpload(req.file);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to mark order as delivered",
+    });
+  }
+};
@@ -0,0 +1,154 @@
+// src/controllers/securityController.js
+import LoginAttempt from "../models/loginAttempt.js";
+import { getLockout, recordLoginAttempt } from "../utils/loginProtection.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logSecurityAdminEvent = (event, data) => {
+  console.log(`[SECURITY_ADMIN ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const OUTCOMES = ["success", "invalid_credentials", "locked", "unlocked"];
+
+/* ==================== LIST LOGIN ATTEMPTS (ADMIN) ==================== */
+// Query: email, ip, outcome, since (ISO date), page, limit
+export const listLoginAttempts = async (req, res) => {
+  try {
+    const { email, ip, outcome, since } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+    const filter = {};
+    if (email) filter.email = String(email).trim().toLowerCase();
+    if (ip) filter.ip = ip;
+    if (outcome) {
+      if (!OUTCOMES.includes(outcome)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid outcome",
+          validOutcomes: OUTCOMES,
+        });
+      }
+      filter.outcome = outcome;
+    }
+    if (since) {
+      const sinceDate = new Date(since);
+      if (Number.isNaN(sinceDate.getTime())) {
+        return res.status(400).json({ success: false, message: "Invalid since date" });
+      }
+      filter.createdAt = { $gte: sinceDate };
+    }
+
+    const [attempts, total] = await Promise.all([
+      LoginAttempt.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LoginAttempt.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      count: attempts.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      attempts,
+    });
+  } catch (error) {
+    console.error("List login attempts error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch login attempts",
+    });
+  }
+};
+
+/* ==================== SUSPICIOUS ACTIVITY (ADMIN) ==================== */
+// Emails and IPs with the most failed or blocked logins in the last `hours` (default 24)
+export const getSuspiciousLogins = async (req, res) => {
+  try {
+    const hours = Math.min(24 * 30, Math.max(1, parseInt(req.query.hours, 10) || 24));
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+    const match = { $match: { outcome: { $in: ["invalid_credentials", "locked"] }, createdAt: { $gte: since } } };
+
+    const groupBy = (field, otherField) => [
+      match,
+      {
+        $group: {
+          _id: `$${field}`,
+          failures: { $sum: 1 },
+          [`${otherField}s`]: { $addToSet: `$${otherField}` },
+          lastAttemptAt: { $max: "$createdAt" },
+        },
+      },
+      { $match: { failures: { $gte: 3 } } },
+      { $sort: { failures: -1 } },
+      { $limit: 50 },
+      {
+        $project: {
+          _id: 0,
+          [field]: "$_id",
+          failures: 1,
+          [`${otherField}Count`]: { $size: `$${otherField}s` },
+          [`${otherField}s`]: { $slice: [`$${otherField}s`, 20] },
+          lastAttemptAt: 1,
+        },
+      },
+    ];
+
+    const [byIp, byEmail] = await Promise.all([
+      LoginAttempt.aggregate(groupBy("ip", "email")),
+      LoginAttempt.aggregate(groupBy("email", "ip")),
+    ]);
+
+    return res.json({ success: true, since, byIp, byEmail });
+  } catch (error) {
+    console.error("Suspicious logins error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to summarise login attempts",
+    });
+  }
+};
+
+/* ==================== UNLOCK LOGIN (ADMIN) ==================== */
+export const unlockLogin = async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const before = await getLockout(email);
+    await recordLoginAttempt({ email, outcome: "unlocked", req, unlockedBy: req.user._id });
+
+    logSecurityAdminEvent("LOGIN_UNLOCKED", {
+      email,
+      failures: before.failures,
+      unlockedBy: req.user.email || req.user._id,
+    });
+
+    return res.json({
+      success: true,
+      message: before.locked ? `Unlocked ${email}` : `${email} was not locked; failures cleared`,
+    });
+  } catch (error) {
+    console.error("Unlock login error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to unlock login",
+    });
+  }
+};
@@ -0,0 +1,289 @@
+// src/controllers/userController.js
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import User from "../models/user.js";
+import { sendEmail } from "../utils/Email.js";
+import { createAccountToken } from "../utils/accountTokens.js";
+import {
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  canAssignRole,
+} from "../utils/permissions.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logUserEvent = (event, data) => {
+  console.log(`[USER_ADMIN ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Owners can't all be demoted away
+const isLastOwner = async (user) =>
+  user.role === "owner" && (await User.countDocuments({ role: "owner" })) <= 1;
+
+const sendInviteEmail = async (user, role, invitedBy) => {
+  const token = await createAccountToken(user._id, "staff_invite");
+  const link = `${process.env.FRONTEND_URL}/accept-invite?token=${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "You've been invited to the team",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #0f5132;">You're invited 🎉</h2>
+        <p>${invitedBy.username || invitedBy.email} has invited you to join as <strong>${role}</strong>.</p>
+        <p style="margin: 25px 0;">
+          <a href="${link}" style="background: #0f5132; color: #fff; padding: 12px 20px; border-radius: 5px; text-decoration: none;">Accept invite</a>
+        </p>
+        <p style="color: #666; font-size: 14px;">The link sets your password and can be used once.</p>
+      </div>
+    `,
+    text: `Accept your invite: ${link}`,
+  });
+};
+
+const sendRoleChangedEmail = async (user, role) => {
+  await sendEmail({
+    to: user.email,
+    subject: "Your account access has changed",
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Hi ${user.username},</p>
+        <p>Your account role is now <strong>${role}</strong>.</p>
+      </div>
+    `,
+  });
+};
+
+/* ==================== LIST ROLES (ADMIN) ==================== */
+export const listRoles = async (req, res) => {
+  return res.json({
+    success: true,
+    roles: ROLES,
+    permissions: ROLE_PERMISSIONS,
+  });
+};
+
+/* ==================== LIST USERS (ADMIN) ==================== */
+// Query: role ("staff" for every non-customer role), search, page, limit
+export const listUsers = async (req, res) => {
+  try {
+    const { role, search } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (role === "staff") {
+      filter.role = { $in: STAFF_ROLES };
+    } else if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid role",
+          validRoles: [...ROLES, "staff"],
+        });
+      }
+      filter.role = role;
+    }
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), "i");
+      filter.$or = [{ email: pattern }, { username: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select("-passwordHash")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      users,
+    });
+  } catch (error) {
+    console.error("List users error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch users",
+    });
+  }
+};
+
+/* ==================== INVITE STAFF (ADMIN) ==================== */
+// Creates the account (or promotes an existing customer) and emails the invite
+export const inviteUser = async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    const { role } = req.body;
+    const username = String(req.body.username || "").trim() || email.split("@")[0];
+
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid email is required",
+      });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role",
+        validRoles: STAFF_ROLES,
+      });
+    }
+
+    let user = await User.findOne({ email });
+
+    if (user && user.role !== "customer") {
+      return res.status(409).json({
+        success: false,
+        message: `User is already ${user.role}; change their role instead`,
+      });
+    }
+
+    if (!canAssignRole(req.user, "customer", role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You can't invite a ${role}`,
+      });
+    }
+
+    if (user) {
+      user.role = role;
+      user.invitedBy = req.user._id;
+      user.invitedAt = new Date();
+      await user.save();
+
+      sendRoleChangedEmail(user, role).catch((err) =>
+        console.error("Failed to send role email:", err)
+      );
+    } else {
+      // Unusable password until the invite is accepted
+      user = await User.create({
+        username,
+        email,
+        passwordHash: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10),
+        role,
+        invitedBy: req.user._id,
+        invitedAt: new Date(),
+      });
+
+      await sendInviteEmail(user, role, req.user);
+    }
+
+    logUserEvent("INVITED", {
+      userId: user._id,
+      email,
+      role,
+      invitedBy: req.user.email || req.user._id,
+    });
+
+    const { passwordHash, ...safeUser } = user.toObject();
+    return res.status(201).json({
+      success: true,
+      message: `Invited ${email} as ${role}`,
+      user: safeUser,
+    });
+  } catch (error) {
+    console.error("Invite user error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to invite user",
+    });
+  }
+};
+
+/* ==================== CHANGE USER ROLE (ADMIN) ==================== */
+// Promote or demote; "customer" removes all back-office access
+export const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid role",
+        validRoles: ROLES,
+      });
+    }
+
+    if (String(req.user._id) === String(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You can't change your own role",
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!canAssignRole(req.user, user.role, role)) {
+      return res.status(403).json({
+        success: false,
+        message: `You can't change a ${user.role} to ${role}`,
+      });
+    }
+
+    if (role !== "owner" && (await isLastOwner(user))) {
+      return res.status(400).json({
+        success: false,
+        message: "Can't demote the last owner",
+      });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.json({ success: true, message: `User is already ${role}` });
+    }
+
+    user.role = role;
+    await user.save();
+
+    logUserEvent("ROLE_CHANGED", {
+      userId: user._id,
+      previousRole,
+      role,
+      changedBy: req.user.email || req.user._id,
+    });
+
+    sendRoleChangedEmail(user, role).catch((err) =>
+      console.error("Failed to send role email:", err)
+    );
+
+    const { passwordHash, ...safeUser } = user.toObject();
+    return res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      user: safeUser,
+    });
+  } catch (error) {
+    console.error("Update user role error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to update role",
+    });
+  }
+};
@@ -0,0 +1,153 @@
+// src/controllers/webhookEventController.js
+import WebhookEvent from "../models/webhookEvent.js";
+import { processWebhookEvent, isProcessable } from "../utils/webhookInbox.js";
+
+/* ==================== HELPERS ==================== */
+
+// Structured logging
+const logWebhookAdminEvent = (event, data) => {
+  console.log(`[WEBHOOK_ADMIN ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const WEBHOOK_STATUSES = ["received", "processing", "processed", "ignored", "failed", "rejected"];
+
+/* ==================== LIST WEBHOOK EVENTS (ADMIN) ==================== */
+// Query: status (default "failed", "all" for everything), event, reference, page, limit
+export const listWebhookEvents = async (req, res) => {
+  try {
+    const { status = "failed", event, reference } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    const filter = {};
+    if (status !== "all") {
+      if (!WEBHOOK_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid status",
+          validStatuses: [...WEBHOOK_STATUSES, "all"],
+        });
+      }
+      filter.status = status;
+    }
+    if (event) filter.event = event;
+    if (reference) filter.reference = reference;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-rawBody")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter),
+    ]);
+
+    return res.json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      events,
+    });
+  } catch (error) {
+    console.error("List webhook events error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook events",
+    });
+  }
+};
+
+/* ==================== GET WEBHOOK EVENT (ADMIN) ==================== */
+export const getWebhookEvent = async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id).lean();
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook event not found",
+      });
+    }
+
+    return res.json({ success: true, event });
+  } catch (error) {
+    console.error("Get webhook event error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook event",
+    });
+  }
+};
+
+/* ==================== REPLAY WEBHOOK EVENT (ADMIN) ==================== */
+export const replayWebhookEvent = async (req, res) => {
+  try {
+    const eventDoc = await WebhookEvent.findById(req.params.id);
+    if (!eventDoc) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook event not found",
+      });
+    }
+
+    if (!isProcessable(eventDoc)) {
+      return res.status(400).json({
+        success: false,
+        message: eventDoc.signatureValid
+          ? `Cannot replay an event with status: ${eventDoc.status}`
+          : "Events with an invalid signature cannot be replayed",
+      });
+    }
+
+    let result;
+    try {
+      result = await processWebhookEvent(eventDoc, { replayedBy: req.user._id });
+    } catch (error) {
+      logWebhookAdminEvent("REPLAY_FAILED", {
+        webhookEventId: eventDoc._id,
+        admin: req.user.email || req.user._id,
+        error: error.message,
+      });
+      return res.status(500).json({
+        success: false,
+        message: "Replay failed",
+        error: error.message,
+        event: await WebhookEvent.findById(eventDoc._id).select("-rawBody").lean(),
+      });
+    }
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: "Event is already being processed",
+      });
+    }
+
+    logWebhookAdminEvent("REPLAYED", {
+      webhookEventId: eventDoc._id,
+      admin: req.user.email || req.user._id,
+      outcome: result.status,
+    });
+
+    return res.json({
+      success: true,
+      message: result.message,
+      outcome: result.status,
+      event: await WebhookEvent.findById(eventDoc._id).select("-rawBody").lean(),
+    });
+  } catch (error) {
+    console.error("Replay webhook event error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to replay webhook event",
+    });
+  }
+};
@@ -0,0 +1,34 @@
+import { hasPermission } from "../utils/permissions.js";
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+
+// Admin roles only get their permissions once 2FA is on
+const needsTwoFactor = (user) => isTwoFactorRequired(user) && !user.twoFactor?.enabled;
+
+/** 🛡️ Permission check inside handlers — same 2FA rule as requirePermission */
+export const userCan = (user, permission) => Boolean(user) && !needsTwoFactor(user) && hasPermission(user, permission);
+
+/** 🛡️ Authorization — require every listed permission (use after authMiddleware) */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: "User not authenticated" });
+  }
+
+  if (needsTwoFactor(req.user)) {
+    return res.status(403).json({
+      success: false,
+      code: "TWO_FACTOR_REQUIRED",
+      message: "Set up two-factor authentication to use admin features",
+    });
+  }
+
+  const missing = permissions.filter((p) => !hasPermission(req.user, p));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: "You don't have permission to do that",
+      requiredPermissions: missing,
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,27 @@
+// src/middleware/cartSession.js
+import { generateGuestId, signCartToken, verifyCartToken, readCartToken } from "../utils/guestCart.js";
+
+/** 🛒 Cart Session — work out whose cart a request is about
+ * - Mount after optionalAuth: signed-in users always use their own cart
+ * - A Bearer token that didn't authenticate gets 401, so clients refresh it
+ * - Guests are identified by the X-Cart-Token header; one is created when missing
+ * - Guests get a refreshed token back in the X-Cart-Token response header
+ * - Sets req.cartOwner ({ userId } or { guestId }) for cart queries, and req.guestId
+ */
+export const cartSession = (req, res, next) => {
+  if (req.user) {
+    req.cartOwner = { userId: req.user._id };
+    return next();
+  }
+
+  // A bad or expired session token must not silently fall back to a guest cart
+  if (req.headers.authorization?.startsWith("Bearer ")) {
+    return res.status(401).json({ message: "Invalid or expired token" });
+  }
+
+  const guestId = verifyCartToken(readCartToken(req)) || generateGuestId();
+  req.guestId = guestId;
+  req.cartOwner = { guestId };
+  res.set("X-Cart-Token", signCartToken(guestId));
+  next();
+};
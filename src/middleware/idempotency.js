@@ -0,0 +1,168 @@
+// src/middleware/idempotency.js
+import crypto from "crypto";
+import IdempotencyKey from "../models/idempotencyKey.js";
+
+const MAX_KEY_LENGTH = 255;
+
+// A "processing" key this old belongs to a request that died mid-flight
+const STALE_LOCK_MS = 60 * 1000;
+
+const logIdempotencyEvent = (event, data) => {
+  console.log(`[IDEMPOTENCY ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ How long a stored response can be replayed
+ * - IDEMPOTENCY_TTL_HOURS in .env, defaults to 24 hours
+ */
+export function getIdempotencyTtlMs() {
+  const hours = Number(process.env.IDEMPOTENCY_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 24) * 60 * 60 * 1000;
+}
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? {})}`)
+    .digest("hex");
+
+// Claim the key for this request; resolves to { record, claimed }
+const claimKey = async ({ key, scope, method, path, requestHash }) => {
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      scope,
+      method,
+      path,
+      requestHash,
+      expiresAt: new Date(Date.now() + getIdempotencyTtlMs()),
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take over a lock left behind by a request that never finished
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    {
+      scope,
+      key,
+      requestHash,
+      status: "processing",
+      updatedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    },
+    { $set: { status: "processing" } },
+    { new: true }
+  );
+  if (takenOver) return { record: takenOver, claimed: true };
+
+  return { record: await IdempotencyKey.findOne({ scope, key }), claimed: false };
+};
+
+// Keep the response for replays; server errors are dropped so the client can retry
+const storeResponse = async (record, statusCode, body) => {
+  if (statusCode >= 500) {
+    await IdempotencyKey.deleteOne({ _id: record._id });
+    return;
+  }
+
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    {
+      $set: {
+        status: "completed",
+        responseStatus: statusCode,
+        responseBody: body === undefined ? null : JSON.parse(JSON.stringify(body)),
+      },
+    }
+  );
+};
+
+/** 🔁 Idempotency — replay the stored response for a repeated Idempotency-Key
+ * - Requests without the header pass straight through
+ * - Same key + same request → original status and body, with Idempotent-Replayed: true
+ * - Same key while the first request is still running → 409
+ * - Same key with a different method, path or body → 422
+ * - Mount after authMiddleware (or cartSession for guests) so keys are scoped per user
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key")?.trim();
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const scope = req.user
+    ? `user:${req.user._id}`
+    : req.guestId
+      ? `guest:${req.guestId}`
+      : `ip:${req.ip}`;
+  const requestHash = hashRequest(req);
+
+  let claim;
+  try {
+    claim = await claimKey({
+      key,
+      scope,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+    });
+  } catch (error) {
+    console.error("Idempotency key error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Could not process Idempotency-Key",
+    });
+  }
+
+  const { record, claimed } = claim;
+
+  if (!claimed) {
+    if (!record || record.status === "processing") {
+      return res.status(409).json({
+        success: false,
+        message: "A request with this Idempotency-Key is still being processed",
+      });
+    }
+
+    if (record.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: "This Idempotency-Key was already used for a different request",
+      });
+    }
+
+    logIdempotencyEvent("REPLAYED", { scope, key, path: record.path });
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.responseStatus).json(record.responseBody);
+  }
+
+  // Store the response before it goes out, so an immediate retry replays it
+  let responded = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    responded = true;
+    storeResponse(record, res.statusCode, body)
+      .catch((err) => console.error("Failed to store idempotent response:", err))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  // Handler ended without a JSON response (crash, redirect, client gone): free the key
+  res.on("close", () => {
+    if (responded) return;
+    IdempotencyKey.deleteOne({ _id: record._id }).catch((err) =>
+      console.error("Failed to release idempotency key:", err)
+    );
+  });
+
+  next();
+};
@@ -0,0 +1,48 @@
+import rateLimit from "express-rate-limit";
+
+const minutes = (value, fallback) => {
+  const n = Number(value);
+  return (Number.isFinite(n) && n > 0 ? n : fallback) * 60 * 1000;
+};
+
+const limitFrom = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const tooManyRequests = (message) => (req, res, next, options) => {
+  res.status(options.statusCode).json({ success: false, message });
+};
+
+/** 🚦 Per-IP limit for everything under /api/auth
+ * - AUTH_RATE_LIMIT requests per AUTH_RATE_WINDOW_MINUTES (defaults 100 / 15)
+ */
+export const authLimiter = rateLimit({
+  windowMs: minutes(process.env.AUTH_RATE_WINDOW_MINUTES, 15),
+  limit: limitFrom(process.env.AUTH_RATE_LIMIT, 100),
+  standardHeaders: "draft-8",
+  legacyHeaders: false,
+  handler: tooManyRequests("Too many requests, please try again later"),
+});
+
+/** 🔐 Stricter per-IP limit for credential endpoints (login, resets, invites)
+ * - LOGIN_RATE_LIMIT requests per AUTH_RATE_WINDOW_MINUTES (defaults 20 / 15)
+ */
+export const credentialLimiter = rateLimit({
+  windowMs: minutes(process.env.AUTH_RATE_WINDOW_MINUTES, 15),
+  limit: limitFrom(process.env.LOGIN_RATE_LIMIT, 20),
+  standardHeaders: "draft-8",
+  legacyHeaders: false,
+  handler: tooManyRequests("Too many attempts, please try again later"),
+});
+
+/** 📦 Per-IP limit for public order tracking, so order numbers can't be enumerated
+ * - TRACK_RATE_LIMIT lookups per TRACK_RATE_WINDOW_MINUTES (defaults 10 / 15)
+ */
+export const trackingLimiter = rateLimit({
+  windowMs: minutes(process.env.TRACK_RATE_WINDOW_MINUTES, 15),
+  limit: limitFrom(process.env.TRACK_RATE_LIMIT, 10),
+  standardHeaders: "draft-8",
+  legacyHeaders: false,
+  handler: tooManyRequests("Too many tracking attempts, please try again later"),
+});
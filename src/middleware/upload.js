@@ -45,4 +45,15 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // Max 5MB
 });
 
+// ✅ Delete an uploaded file the request ended up not using
+export const removeUpload = async (file) => {
+  if (!file?.filename) return;
+
+  try {
+    await cloudinary.uploader.destroy(file.filename);
+  } catch (err) {
+    console.error("Failed to remove upload:", err);
+  }
+};
+
 export default upload;
@@ -1,11 +1,19 @@
 import mongoose from "mongoose";
 
+// Guest carts nobody touches for this long are removed (matches the cart token expiry)
+const GUEST_CART_TTL_SECONDS = 30 * 24 * 60 * 60;
+
 const cartSchema = new mongoose.Schema(
   {
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User", // references the User collection
-      required: true,
+      default: null, // null for guest carts
+    },
+    // Anonymous cart id from the signed cart token (utils/guestCart.js)
+    guestId: {
+      type: String,
+      default: null,
     },
     drinkId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -22,11 +30,28 @@ const cartSchema = new mongoose.Schema(
       type: Number, // ✅ added pack as a number
       required: true,
     },
+    // Pack price when the customer last added it, to warn when it changes
+    addedPrice: {
+      type: Number,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
-// ✅ Compound unique index to prevent duplicate items for same user, drink, and pack
-cartSchema.index({ userId: 1, drinkId: 1, pack: 1 }, { unique: true });
+// ✅ Compound unique indexes to prevent duplicate items for same owner, drink, and pack
+// The old userId_1_drinkId_1_pack_1 index is dropped on start (utils/migrations.js)
+cartSchema.index(
+  { userId: 1, drinkId: 1, pack: 1 },
+  { unique: true, name: "user_cart_line", partialFilterExpression: { userId: { $type: "objectId" } } }
+);
+cartSchema.index(
+  { guestId: 1, drinkId: 1, pack: 1 },
+  { unique: true, name: "guest_cart_line", partialFilterExpression: { guestId: { $type: "string" } } }
+);
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_SECONDS, partialFilterExpression: { guestId: { $type: "string" } } }
+);
 
 export default mongoose.model("Cart", cartSchema);
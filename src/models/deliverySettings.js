@@ -0,0 +1,80 @@
+// src/models/deliverySettings.js
+import mongoose from "mongoose";
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Opening hours for one weekday (0 = Sunday … 6 = Saturday)
+const openingHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, min: 0, max: 6, required: true },
+    open: { type: String, match: [TIME_OF_DAY, "Use HH:mm for opening time"], default: "09:00" },
+    close: { type: String, match: [TIME_OF_DAY, "Use HH:mm for closing time"], default: "18:00" },
+    closed: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const holidaySchema = new mongoose.Schema(
+  {
+    date: { type: String, match: [DATE_ONLY, "Use YYYY-MM-DD for holidays"], required: true },
+    note: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Delivery schedule (a single document). Times are shop time, which is
+// GMT/UTC in Ghana, so dates and times are handled in UTC throughout.
+const deliverySettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "default",
+      unique: true,
+    },
+
+    // Days missing from the list are closed
+    openingHours: { type: [openingHoursSchema], default: [] },
+
+    holidays: { type: [holidaySchema], default: [] },
+
+    slotMinutes: {
+      type: Number,
+      min: 15,
+      max: 720,
+      default: 120,
+    },
+
+    // Orders per slot unless a slot has its own capacity
+    slotCapacity: {
+      type: Number,
+      min: 1,
+      default: 10,
+    },
+
+    // How far ahead customers can book
+    maxDaysAhead: {
+      type: Number,
+      min: 1,
+      max: 60,
+      default: 14,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+deliverySettingsSchema.path("openingHours").validate(function (hours) {
+  return hours.every((h) => h.closed || h.open < h.close);
+}, "Opening time must be before closing time");
+
+deliverySettingsSchema.path("openingHours").validate(function (hours) {
+  return new Set(hours.map((h) => h.day)).size === hours.length;
+}, "Each weekday can only appear once");
+
+export default mongoose.model("DeliverySettings", deliverySettingsSchema);
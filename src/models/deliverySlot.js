@@ -0,0 +1,36 @@
+// src/models/deliverySlot.js
+import mongoose from "mongoose";
+
+// Booking counter for one delivery slot, created the first time it is booked
+const deliverySlotSchema = new mongoose.Schema(
+  {
+    // "YYYY-MM-DDTHH:mm" of the slot start, as offered to customers
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    date: { type: String, required: true },
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+
+    capacity: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+
+    bookedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+deliverySlotSchema.index({ date: 1 });
+
+export default mongoose.model("DeliverySlot", deliverySlotSchema);
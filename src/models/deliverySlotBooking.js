@@ -0,0 +1,38 @@
+// src/models/deliverySlotBooking.js
+import mongoose from "mongoose";
+
+// A checkout's place in a delivery slot, keyed by its payment reference
+const deliverySlotBookingSchema = new mongoose.Schema(
+  {
+    slotKey: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+
+    // booked: held or confirmed · released: checkout abandoned or order cancelled
+    status: {
+      type: String,
+      enum: ["booked", "released"],
+      default: "booked",
+    },
+
+    releasedReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+deliverySlotBookingSchema.index({ slotKey: 1, status: 1 });
+
+export default mongoose.model("DeliverySlotBooking", deliverySlotBookingSchema);
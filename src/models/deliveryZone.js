@@ -0,0 +1,99 @@
+// src/models/deliveryZone.js
+import mongoose from "mongoose";
+
+export const ZONE_MATCH_TYPES = ["areas", "polygon", "radius"];
+
+const pointSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, min: -90, max: 90, required: true },
+    lng: { type: Number, min: -180, max: 180, required: true },
+  },
+  { _id: false }
+);
+
+// Lower-cased, single-spaced place names so "East  Legon" matches "east legon"
+const normalizePlaces = (list) =>
+  (list || []).map((v) => String(v).trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean);
+
+// Where we deliver, and what it costs
+const deliveryZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // areas: by city/area name · polygon: inside `polygon` · radius: within radiusKm of `center`
+    matchType: {
+      type: String,
+      enum: ZONE_MATCH_TYPES,
+      required: true,
+    },
+
+    cities: { type: [String], set: normalizePlaces, default: [] },
+    areas: { type: [String], set: normalizePlaces, default: [] },
+
+    polygon: { type: [pointSchema], default: [] },
+
+    // Falls back to the shop (SHOP_LAT / SHOP_LNG in .env) when not set
+    center: { type: pointSchema, default: null },
+    radiusKm: { type: Number, min: 0, default: null },
+
+    // GHS
+    fee: {
+      type: Number,
+      min: 0,
+      required: true,
+    },
+
+    // Items subtotal (GHS) from which delivery is free (null = never free)
+    freeDeliveryThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+
+    // Items subtotal (GHS) needed to order into this zone
+    minOrderAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // How long after ordering the earliest delivery can be
+    leadTimeMinutes: {
+      type: Number,
+      min: 0,
+      default: 60,
+    },
+
+    // Lower numbers are checked first, so a small zone can sit inside a bigger one
+    priority: {
+      type: Number,
+      default: 100,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryZoneSchema.path("matchType").validate(function (matchType) {
+  if (matchType === "areas") return this.cities.length > 0 || this.areas.length > 0;
+  if (matchType === "polygon") return this.polygon.length >= 3;
+  return this.radiusKm > 0;
+}, "Areas zones need cities or areas, polygons at least 3 points, radius zones a radiusKm");
+
+deliveryZoneSchema.index({ active: 1, priority: 1 });
+
+export default mongoose.model("DeliveryZone", deliveryZoneSchema);
@@ -9,6 +9,12 @@ const packSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  // Units on hand for this pack; null means stock is not tracked
+  stock: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
 });
 
 const drinkSchema = new mongoose.Schema(
@@ -39,6 +45,12 @@ const drinkSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Overrides LOW_STOCK_THRESHOLD for this drink when set
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
     imageUrl: {
       type: String,
       default: "",
@@ -0,0 +1,63 @@
+// src/models/idempotencyKey.js
+import mongoose from "mongoose";
+
+// A client-supplied Idempotency-Key and the response it produced
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // Who sent it ("user:<id>"), so keys can't collide across customers
+    scope: {
+      type: String,
+      required: true,
+    },
+
+    method: {
+      type: String,
+      required: true,
+    },
+
+    path: {
+      type: String,
+      required: true,
+    },
+
+    // Hash of method, path and body; a reused key must match it
+    requestHash: {
+      type: String,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+// MongoDB drops keys once their replay window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,56 @@
+// src/models/loginAttempt.js
+import mongoose from "mongoose";
+
+// One login attempt, kept for lockout decisions and admin review
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // As typed (lowercased), whether or not an account exists for it
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // "unlocked" is written by an admin and clears earlier failures
+    outcome: {
+      type: String,
+      enum: ["success", "invalid_credentials", "locked", "unlocked"],
+      required: true,
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // Admin who cleared a lockout
+    unlockedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+loginAttemptSchema.index({ outcome: 1, createdAt: -1 });
+// Keep 90 days of history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model("LoginAttempt", loginAttemptSchema);
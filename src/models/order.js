@@ -1,5 +1,7 @@
 // src/models/order.js
 import mongoose from "mongoose";
+import { ORDER_STATUSES } from "../utils/orderStatus.js";
+import { PAYMENT_METHODS } from "../providers/index.js";
 
 
 const customerSchema = new mongoose.Schema(
@@ -27,8 +29,21 @@ const customerSchema = new mongoose.Schema(
       trim: true,
       required: true,
     },
+    area: { type: String, trim: true, default: "" },
     city: { type: String, trim: true, default: "" },
     country: { type: String, trim: true, default: "Ghana" },
+    landmark: { type: String, trim: true, default: "" },
+    // GPS pin from a saved address or the checkout form
+    location: {
+      type: new mongoose.Schema(
+        {
+          lat: { type: Number, min: -90, max: 90, required: true },
+          lng: { type: Number, min: -180, max: 180, required: true },
+        },
+        { _id: false }
+      ),
+      default: null,
+    },
   },
   { _id: false }
 );
@@ -58,6 +73,140 @@ const itemSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const statusHistorySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    from: { type: String, enum: [...ORDER_STATUSES, null], default: null },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // null for system changes (webhook, jobs)
+    },
+    source: { type: String, trim: true, default: "system" },
+    note: { type: String, trim: true, default: "" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: true,
+      min: [0.01, "Refund amount must be positive"],
+    },
+    reason: { type: String, trim: true, default: "" },
+    // queued: Paystack not reached yet · submitting: a request is in flight
+    // pending: accepted by Paystack
+    status: {
+      type: String,
+      enum: ["queued", "submitting", "pending", "processed", "failed"],
+      default: "queued",
+    },
+    // When the refund was created or last claimed for submission
+    lockedAt: { type: Date, default: null },
+    source: {
+      type: String,
+      enum: ["cancellation", "admin"],
+      default: "admin",
+    },
+    initiatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    paystackRefundId: { type: String, trim: true, default: null },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, default: "" },
+    processedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+const disputeSchema = new mongoose.Schema(
+  {
+    paystackDisputeId: { type: String, trim: true, default: null },
+    status: { type: String, enum: ["open", "resolved"], default: "open" },
+    category: { type: String, trim: true, default: "" },
+    reason: { type: String, trim: true, default: "" },
+    amount: { type: Number, default: null }, // GHS
+    // Paystack resolution, e.g. "merchant-accepted" or "declined"
+    resolution: { type: String, trim: true, default: "" },
+    dueAt: { type: Date, default: null },
+    openedAt: { type: Date, default: Date.now },
+    resolvedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+// Promo code applied at checkout (amounts in GHS)
+const discountSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", default: null },
+    code: { type: String, trim: true, required: true },
+    type: { type: String, trim: true, default: "" },
+    description: { type: String, trim: true, default: "" },
+    amount: { type: Number, min: 0, default: 0 }, // off the items
+    deliveryAmount: { type: Number, min: 0, default: 0 }, // off the delivery fee
+  },
+  { _id: false }
+);
+
+// Delivery zone as it was when the order was placed
+const deliveryZoneSnapshotSchema = new mongoose.Schema(
+  {
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryZone", default: null },
+    name: { type: String, trim: true, default: "" },
+    leadTimeMinutes: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const deliverySlotSnapshotSchema = new mongoose.Schema(
+  {
+    key: { type: String, trim: true, required: true },
+    date: { type: String, trim: true, default: "" },
+    start: { type: String, trim: true, default: "" },
+    end: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Rider hand-off: who delivers it, and when it was picked up and delivered
+const riderDeliverySchema = new mongoose.Schema(
+  {
+    riderId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    assignedAt: { type: Date, default: null },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    pickedUpAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    proofOfDeliveryUrl: { type: String, trim: true, default: "" },
+    note: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// Why a paid order was set aside for a person to check
+const reviewSchema = new mongoose.Schema(
+  {
+    reason: { type: String, trim: true, required: true }, // e.g. "promo_limit_exceeded"
+    note: { type: String, trim: true, default: "" },
+    flaggedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Audit trail of Paystack events applied to the order
+const paymentEventSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true },
+    note: { type: String, trim: true, default: "" },
+    receivedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     userId: {
@@ -66,6 +215,12 @@ const orderSchema = new mongoose.Schema(
       required: false, // allow guest orders
     },
 
+    // Guest cart the order came from (cleared from the cart once confirmed)
+    guestId: {
+      type: String,
+      default: null,
+    },
+
     customer: {
       type: customerSchema,
       required: true,
@@ -91,12 +246,74 @@ const orderSchema = new mongoose.Schema(
       default: null,
     },
 
+    // Rider assignment and delivery tracking (null until a rider is assigned)
+    delivery: {
+      type: riderDeliverySchema,
+      default: null,
+    },
+
+    // Booked delivery slot (see utils/deliverySlots.js); null without a schedule
+    deliverySlot: {
+      type: deliverySlotSnapshotSchema,
+      default: null,
+    },
+
+    // Items before any discount (GHS)
+    subtotal: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+
+    discount: {
+      type: discountSchema,
+      default: null,
+    },
+
+    // Delivery charged as its own line (GHS, before any delivery discount)
+    deliveryFee: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Zone the address fell in at checkout (null when no zones are configured)
+    deliveryZone: {
+      type: deliveryZoneSnapshotSchema,
+      default: null,
+    },
+
+    // What the customer pays: subtotal - discounts + delivery
     totalAmount: {
       type: Number,
       required: true,
       min: [0, "Total amount cannot be negative"],
     },
 
+    totalItems: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Amount Paystack reported as charged (GHS), set when payment is confirmed
+    amountPaid: {
+      type: Number,
+      default: null,
+    },
+
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+
+    // True once the order's items have been taken off stock
+    stockCommitted: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Payment reference: the Paystack reference, or a local COD_ one for cash on delivery
     paystackReference: {
       type: String,
       required: true,
@@ -105,16 +322,65 @@ const orderSchema = new mongoose.Schema(
       index: true,
     },
 
+    // Provider that handles this order's payment (see src/providers)
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "paystack",
+    },
+
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "refunded"],
+      enum: [
+        "pending",
+        "unpaid", // cash on delivery, collected later
+        "paid",
+        "refund_pending",
+        "partially_refunded",
+        "refunded",
+        "failed",
+        "disputed",
+        "cancelled",
+      ],
       default: "pending",
     },
 
+    // Last failed charge attempt (the customer may still retry the same reference)
+    paymentFailure: {
+      reason: { type: String, trim: true, default: "" },
+      failedAt: { type: Date, default: null },
+    },
+
+    dispute: {
+      type: disputeSchema,
+      default: null,
+    },
+
+    paymentEvents: {
+      type: [paymentEventSchema],
+      default: [],
+    },
+
+    // Set when the order needs manual review (null otherwise)
+    review: {
+      type: reviewSchema,
+      default: null,
+    },
+
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+
     orderStatus: {
       type: String,
-      enum: ["confirmed", "processing", "completed", "cancelled"],
-      default: "confirmed",
+      enum: ORDER_STATUSES,
+      default: "pending",
+    },
+
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
     },
 
     orderNumber: {
@@ -141,6 +407,8 @@ const orderSchema = new mongoose.Schema(
 // Helpful indexes for admin dashboards
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ userId: 1 });
+orderSchema.index({ "customer.email": 1 });
+orderSchema.index({ "delivery.riderId": 1, orderStatus: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ orderStatus: 1 });
 
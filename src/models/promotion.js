@@ -0,0 +1,132 @@
+// src/models/promotion.js
+import mongoose from "mongoose";
+
+export const PROMOTION_TYPES = ["percentage", "fixed_amount", "free_delivery", "buy_x_get_y"];
+
+// A promo code customers enter at checkout
+const promotionSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      match: [/^[A-Z0-9_-]{3,32}$/, "Code must be 3-32 letters, digits, - or _"],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    type: {
+      type: String,
+      enum: PROMOTION_TYPES,
+      required: true,
+    },
+
+    // percentage: percent off (1-100) · fixed_amount: GHS off · unused otherwise
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Cap on a percentage discount, in GHS (null = no cap)
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+
+    // buy_x_get_y: every buyQuantity + getQuantity units, getQuantity are free
+    buyQuantity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    getQuantity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    // Limit the discount to these drinks and/or pack sizes (empty = whole cart)
+    drinkIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Drink",
+      },
+    ],
+    packs: [Number],
+
+    // Items subtotal (GHS) the cart must reach
+    minOrderAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    // Redemptions allowed in total / per customer (null = unlimited)
+    usageLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
+    // Pending and completed redemptions (see utils/promotions.js)
+    usageCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.path("value").validate(function (value) {
+  return this.type !== "percentage" || (value > 0 && value <= 100);
+}, "Percentage must be between 1 and 100");
+
+promotionSchema.path("value").validate(function (value) {
+  return this.type !== "fixed_amount" || value > 0;
+}, "Fixed amount must be greater than 0");
+
+promotionSchema.path("buyQuantity").validate(function (value) {
+  return this.type !== "buy_x_get_y" || (value >= 1 && this.getQuantity >= 1);
+}, "Buy X get Y needs buyQuantity and getQuantity");
+
+promotionSchema.path("endsAt").validate(function (value) {
+  return !value || !this.startsAt || value > this.startsAt;
+}, "endsAt must be after startsAt");
+
+promotionSchema.index({ active: 1, endsAt: 1 });
+
+export default mongoose.model("Promotion", promotionSchema);
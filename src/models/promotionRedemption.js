@@ -0,0 +1,65 @@
+// src/models/promotionRedemption.js
+import mongoose from "mongoose";
+
+// One use of a promo code, tied to the checkout (payment reference) that used it
+const promotionRedemptionSchema = new mongoose.Schema(
+  {
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Checkout email, so guest uses count against the per-customer limit too
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: "",
+    },
+
+    // Total taken off (items + delivery), GHS
+    discount: {
+      type: Number,
+      default: 0,
+    },
+
+    // pending: checkout started · redeemed: order paid or confirmed · released: checkout abandoned/cancelled
+    status: {
+      type: String,
+      enum: ["pending", "redeemed", "released"],
+      default: "pending",
+    },
+
+    releasedReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1, status: 1 });
+promotionRedemptionSchema.index({ promotionId: 1, email: 1, status: 1 });
+
+export default mongoose.model("PromotionRedemption", promotionRedemptionSchema);
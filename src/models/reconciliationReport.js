@@ -0,0 +1,67 @@
+// src/models/reconciliationReport.js
+import mongoose from "mongoose";
+
+const issueSchema = new mongoose.Schema(
+  {
+    reference: { type: String, trim: true, required: true },
+    // fulfilled: order was unpaid locally and has now been fulfilled
+    // charged_not_fulfilled: Paystack charged it but the order isn't paid (e.g. cancelled)
+    type: {
+      type: String,
+      enum: ["fulfilled", "amount_mismatch", "unknown_reference", "charged_not_fulfilled", "error"],
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    paystackAmount: { type: Number, default: null }, // GHS
+    orderAmount: { type: Number, default: null }, // GHS
+    message: { type: String, trim: true, default: "" },
+  },
+  { _id: false }
+);
+
+// One run of the Paystack ↔ Order reconciliation job
+const reconciliationReportSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+    },
+    windowFrom: { type: Date, required: true },
+    windowTo: { type: Date, required: true },
+    summary: {
+      checked: { type: Number, default: 0 },
+      matched: { type: Number, default: 0 },
+      fulfilled: { type: Number, default: 0 },
+      amountMismatches: { type: Number, default: 0 },
+      unknownReferences: { type: Number, default: 0 },
+      chargedNotFulfilled: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+    },
+    issues: {
+      type: [issueSchema],
+      default: [],
+    },
+    error: { type: String, default: "" },
+    finishedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+export default mongoose.model("ReconciliationReport", reconciliationReportSchema);
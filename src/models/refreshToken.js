@@ -1,13 +1,74 @@
 // src/models/refreshToken.js
 import mongoose from "mongoose";
-import User from "./user.js"; // fixed default import
 
+// One issued refresh token; a login starts a family that every rotation extends
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
 
-export const RefreshToken = sequelize.define('RefreshToken', {
-  id: { type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true },
-  tokenHash: { type: DataTypes.STRING, allowNull: false },
-  expiresAt: { type: DataTypes.DATE, allowNull: false },
-});
+    // JWT id (jti) of the token this record belongs to
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
 
-RefreshToken.belongsTo(User);
-User.hasMany(RefreshToken);
+    // Shared by every token descended from the same login (one per device)
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // bcrypt hash of the token itself; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+
+    userAgent: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedReason: {
+      type: String,
+      enum: [null, "rotated", "logout", "reuse_detected", "logout_all", "password_changed"],
+      default: null,
+    },
+
+    // jti of the token that replaced this one on rotation
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB drops tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,68 @@
+// src/models/reservation.js
+import mongoose from "mongoose";
+
+const reservedItemSchema = new mongoose.Schema(
+  {
+    drinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Drink",
+      required: true,
+    },
+    pack: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+// Stock held for a checkout between payment initialization and the webhook
+const reservationSchema = new mongoose.Schema(
+  {
+    // Paystack transaction reference this hold belongs to
+    reference: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+      index: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // Guest cart id for guest checkouts (userId is null then)
+    guestId: {
+      type: String,
+      default: null,
+    },
+
+    items: [reservedItemSchema],
+
+    status: {
+      type: String,
+      enum: ["active", "consumed", "released"],
+      default: "active",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    releasedReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// Sweeper looks up expired active holds
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ userId: 1, status: 1 });
+reservationSchema.index({ guestId: 1, status: 1 });
+
+export default mongoose.model("Reservation", reservationSchema);
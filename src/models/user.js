@@ -1,4 +1,37 @@
 import mongoose from "mongoose";
+import { ROLES } from "../utils/permissions.js";
+
+// Optional GPS pin dropped by the customer
+const locationSchema = new mongoose.Schema(
+  {
+    lat: { type: Number, min: -90, max: 90, required: true },
+    lng: { type: Number, min: -180, max: 180, required: true },
+  },
+  { _id: false }
+);
+
+// One saved delivery address ("Home", "Office", ...)
+const addressSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true, default: "Home", maxlength: 40 },
+    // Recipient, when it isn't the account holder
+    fullName: { type: String, trim: true, default: "" },
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+      match: [/^$|^\+?[0-9]{7,15}$/, "Invalid phone number"],
+    },
+    address: { type: String, trim: true, required: true, minlength: 5 },
+    area: { type: String, trim: true, default: "" },
+    city: { type: String, trim: true, default: "" },
+    country: { type: String, trim: true, default: "Ghana" },
+    landmark: { type: String, trim: true, default: "" },
+    location: { type: locationSchema, default: null },
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,12 +53,84 @@ const userSchema = new mongoose.Schema(
       required: true,
     },
 
-    // ✅ Role (admin / user)
-    isAdmin: {
+    // ✅ Profile, used to prefill checkout
+    fullName: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+      match: [/^$|^\+?[0-9]{7,15}$/, "Invalid phone number"],
+    },
+
+    // ✅ Saved delivery addresses (at most one isDefault)
+    addresses: {
+      type: [addressSchema],
+      default: [],
+    },
+
+    // ✅ Set once the user follows the link from the verification email
+    emailVerified: {
       type: Boolean,
       default: false,
     },
 
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ✅ Role — what the user may do is looked up in utils/permissions.js
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "customer",
+      index: true,
+    },
+
+    // ✅ Two-factor authentication (mandatory for TWO_FACTOR_REQUIRED_ROLES).
+    // Secrets and code hashes are never selected by default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+
+      // Encrypted with utils/totp.js encryptSecret()
+      secret: { type: String, default: null, select: false },
+      // Secret waiting for its first code during enrollment
+      pendingSecret: { type: String, default: null, select: false },
+
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: { type: Number, default: -1, select: false },
+
+      recoveryCodes: {
+        type: [
+          {
+            hash: { type: String, required: true },
+            usedAt: { type: Date, default: null },
+            _id: false,
+          },
+        ],
+        default: [],
+        select: false,
+      },
+    },
+
+    // ✅ Staff accounts created through the admin invite API
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    invitedAt: {
+      type: Date,
+      default: null,
+    },
+
     // ✅ Track last login time
     lastLogin: {
       type: Date,
@@ -0,0 +1,43 @@
+// src/models/userToken.js
+import mongoose from "mongoose";
+
+// Single-use tokens emailed to a user (password reset, email verification, staff invite)
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: ["password_reset", "email_verification", "staff_invite"],
+      required: true,
+    },
+
+    // sha256 of the emailed token; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ userId: 1, type: 1, usedAt: 1 });
+// MongoDB drops tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("UserToken", userTokenSchema);
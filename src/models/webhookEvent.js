@@ -0,0 +1,104 @@
+// src/models/webhookEvent.js
+import mongoose from "mongoose";
+
+// Every incoming payment webhook, stored before it is processed
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      trim: true,
+      default: "paystack",
+    },
+
+    // Provider event identity used for deduplication (null for unverified events)
+    eventKey: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+
+    event: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    reference: {
+      type: String,
+      trim: true,
+      default: null,
+      index: true,
+    },
+
+    rawBody: {
+      type: String,
+      required: true,
+    },
+
+    signatureValid: {
+      type: Boolean,
+      required: true,
+    },
+
+    // "rejected" is only on unsigned requests stored before they were dropped
+    status: {
+      type: String,
+      enum: ["received", "processing", "processed", "ignored", "failed", "rejected"],
+      default: "received",
+    },
+
+    // Handler result, e.g. "paid", "duplicate", "not_found"
+    outcome: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    error: {
+      type: String,
+      default: "",
+    },
+
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    // Paystack re-deliveries of an event we already stored
+    deliveries: {
+      type: Number,
+      default: 1,
+    },
+
+    ip: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastReplayedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastReplayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookEventSchema.index(
+  { provider: 1, eventKey: 1 },
+  { unique: true, partialFilterExpression: { eventKey: { $type: "string" } } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookEvent", webhookEventSchema);
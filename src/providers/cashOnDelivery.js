@@ -0,0 +1,31 @@
+// src/providers/cashOnDelivery.js
+
+/**
+ * ✅ Cash on Delivery
+ * - The order is confirmed straight away and stays "unpaid" until a rider
+ *   or admin marks it paid; there is no gateway and no webhook
+ * - Refunds are handed back in cash, so they settle immediately
+ */
+const cashOnDeliveryProvider = {
+  name: "cash_on_delivery",
+  referencePrefix: "COD",
+  confirmsOnInitialize: true,
+
+  async initialize({ reference }) {
+    return { status: "unpaid", reference };
+  },
+
+  async verify() {
+    return { status: "pending", amount: null, raw: null };
+  },
+
+  async refund() {
+    return { id: null, status: "processed" };
+  },
+
+  parseWebhook() {
+    return { valid: false, event: null, data: null };
+  },
+};
+
+export default cashOnDeliveryProvider;
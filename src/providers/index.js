@@ -0,0 +1,49 @@
+// src/providers/index.js
+import crypto from "crypto";
+import paystackProvider from "./paystack.js";
+import mobileMoneyProvider from "./mobileMoney.js";
+import cashOnDeliveryProvider from "./cashOnDelivery.js";
+
+/*
+ * Payment provider registry. Every provider implements:
+ *   initialize({ order, amount, reference, ... }) → { status, reference, ... }
+ *   verify(reference)                           → { status, amount, raw }
+ *   refund({ order, refund })                   → { id, status }
+ *   parseWebhook(req)                           → { valid, event, data }
+ * The order's `paymentMethod` names the provider that handles it.
+ */
+const PROVIDERS = {
+  [paystackProvider.name]: paystackProvider,
+  [mobileMoneyProvider.name]: mobileMoneyProvider,
+  [cashOnDeliveryProvider.name]: cashOnDeliveryProvider,
+};
+
+export const PAYMENT_METHODS = Object.keys(PROVIDERS);
+
+/**
+ * ✅ Providers customers may choose at checkout
+ * - PAYMENT_METHODS_ENABLED in .env (comma separated) limits the list
+ */
+export function getEnabledPaymentMethods() {
+  const configured = (process.env.PAYMENT_METHODS_ENABLED || "")
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  return configured.length
+    ? PAYMENT_METHODS.filter((m) => configured.includes(m))
+    : PAYMENT_METHODS;
+}
+
+/**
+ * ✅ Look up a provider by payment method (defaults to Paystack)
+ */
+export function getProvider(paymentMethod = "paystack") {
+  return PROVIDERS[paymentMethod] || null;
+}
+
+/**
+ * ✅ Unique payment reference for a provider
+ */
+export function generateReference(provider) {
+  return `${provider.referencePrefix}_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+}
@@ -0,0 +1,54 @@
+// src/providers/mobileMoney.js
+import paystackProvider from "./paystack.js";
+import { chargeMobileMoney, submitChargeOtp } from "../utils/paystackClient.js";
+
+// Paystack network codes for Ghana wallets
+export const MOBILE_MONEY_NETWORKS = ["mtn", "vod", "atl"];
+
+/**
+ * ✅ Direct Mobile Money prompt through Paystack's Charge API
+ * - No redirect: the customer approves on their phone
+ * - Confirmation, refunds and webhooks are the same as Paystack checkout
+ */
+const mobileMoneyProvider = {
+  ...paystackProvider,
+  name: "mobile_money",
+
+  validate({ mobileMoney }) {
+    const errors = [];
+    if (!mobileMoney?.phone || !/^\+?[0-9]{10,15}$/.test(mobileMoney.phone)) {
+      errors.push("A valid Mobile Money number is required");
+    }
+    if (!MOBILE_MONEY_NETWORKS.includes(mobileMoney?.provider)) {
+      errors.push(`Mobile Money network must be one of: ${MOBILE_MONEY_NETWORKS.join(", ")}`);
+    }
+    return errors;
+  },
+
+  async initialize({ order, amount, reference, mobileMoney }) {
+    const charge = await chargeMobileMoney({
+      email: order.customer.email,
+      amount,
+      reference,
+      phone: mobileMoney.phone,
+      provider: mobileMoney.provider,
+      metadata: {
+        orderId: order._id.toString(),
+        userId: order.userId?.toString() || null,
+      },
+    });
+
+    return {
+      status: charge.status, // "pay_offline" | "send_otp" | "success" | "failed"
+      reference: charge.reference || reference,
+      displayText: charge.display_text || "",
+    };
+  },
+
+  async submitOtp({ reference, otp }) {
+    const charge = await submitChargeOtp({ reference, otp });
+    return { status: charge.status, displayText: charge.display_text || "" };
+  },
+};
+
+export default mobileMoneyProvider;
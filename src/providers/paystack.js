@@ -0,0 +1,84 @@
+// src/providers/paystack.js
+import crypto from "crypto";
+import {
+  initializeTransaction,
+  verifyTransaction,
+  createRefund,
+  listRefunds,
+} from "../utils/paystackClient.js";
+
+/**
+ * ✅ Paystack hosted checkout (card, bank, Mobile Money on Paystack's page)
+ */
+const paystackProvider = {
+  name: "paystack",
+  referencePrefix: "DUKS",
+
+  async initialize({ order, amount, reference }) {
+    const transaction = await initializeTransaction({
+      email: order.customer.email,
+      amount,
+      currency: "GHS",
+      reference,
+      callback_url: `${process.env.FRONTEND_URL}/orders`,
+      metadata: {
+        orderId: order._id.toString(),
+        userId: order.userId?.toString() || null,
+      },
+    });
+
+    return {
+      status: "pending",
+      reference: transaction.reference,
+      authorizationUrl: transaction.authorization_url,
+    };
+  },
+
+  // Resolves to { status: "success" | "failed" | ..., amount (pesewas), raw }
+  async verify(reference) {
+    const transaction = await verifyTransaction(reference);
+    return { status: transaction.status, amount: transaction.amount, raw: transaction };
+  },
+
+  async refund({ order, refund }) {
+    const result = await createRefund({
+      reference: order.paystackReference,
+      amount: Math.round(refund.amount * 100),
+      merchantNote: refund.reason,
+      customerNote: refund.reason,
+    });
+    return { id: result?.id != null ? String(result.id) : null, status: "pending" };
+  },
+
+  // A refund Paystack already has for this record (an earlier request that
+  // timed out but went through), or null. Refunds already matched to other
+  // records on the order are skipped.
+  async findRefund({ order, refund }) {
+    const known = new Set(order.refunds.map((r) => r.paystackRefundId).filter(Boolean));
+    const amount = Math.round(refund.amount * 100);
+    const found = (await listRefunds({ reference: order.paystackReference })).find(
+      (r) => Number(r.amount) === amount && !known.has(String(r.id))
+    );
+    if (!found) return null;
+    return {
+      id: String(found.id),
+      status: found.status === "processed" ? "processed" : found.status === "failed" ? "failed" : "pending",
+    };
+  },
+
+  // Verifies the signature over the exact bytes Paystack sent
+  parseWebhook(req) {
+    const hash = crypto
+      .createHmac("sha512", process.env.PAYSTACK_SECRET_KEY)
+      .update(req.rawBody || JSON.stringify(req.body))
+      .digest("hex");
+
+    return {
+      valid: hash === req.headers["x-paystack-signature"],
+      event: req.body?.event,
+      data: req.body?.data,
+    };
+  },
+};
+
+export default paystackProvider;
@@ -1,13 +1,53 @@
 import express from "express";
-import { signup, login, logout, refresh, getMe } from "../controllers/authController.js";
-import { authMiddleware } from "../middleware/authMiddleware.js"; // ✅ updated import
+import {
+  signup,
+  login,
+  logout,
+  refresh,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  acceptInvite,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorRecoveryCodes,
+  disableTwoFactorAuth,
+  changePassword,
+} from "../controllers/authController.js";
+import { authMiddleware, twoFactorSetupAuth } from "../middleware/authMiddleware.js"; // ✅ updated import
+import { credentialLimiter } from "../middleware/rateLimits.js";
 
 const router = express.Router();
 
-router.post("/signup", signup);
-router.post("/login", login);
+// Every /api/auth route is also limited per IP in server.js (authLimiter)
+router.post("/signup", credentialLimiter, signup);
+router.post("/login", credentialLimiter, login);
 router.post("/logout", logout);
 router.post("/refresh", refresh);
 router.get("/me", authMiddleware, getMe); // ✅ use authMiddleware instead of verifyToken
 
+router.post("/change-password", credentialLimiter, authMiddleware, changePassword);
+
+// Password reset & email verification
+router.post("/forgot-password", credentialLimiter, forgotPassword);
+router.post("/reset-password", credentialLimiter, resetPassword);
+router.post("/verify-email", credentialLimiter, verifyEmail);
+router.post("/resend-verification", authMiddleware, resendVerification);
+
+// Two-factor authentication. setup/enable also accept the setup challenge
+// token from login so admin accounts can enroll before they have a session.
+router.post("/2fa/verify", credentialLimiter, verifyTwoFactorLogin);
+router.get("/2fa/status", authMiddleware, getTwoFactorStatus);
+router.post("/2fa/setup", twoFactorSetupAuth, setupTwoFactor);
+router.post("/2fa/enable", credentialLimiter, twoFactorSetupAuth, enableTwoFactor);
+router.post("/2fa/recovery-codes", credentialLimiter, authMiddleware, regenerateTwoFactorRecoveryCodes);
+router.post("/2fa/disable", credentialLimiter, authMiddleware, disableTwoFactorAuth);
+
+// Staff invites (sent from /api/users/admin/invite)
+router.post("/accept-invite", credentialLimiter, acceptInvite);
+
 export default router;
@@ -1,8 +1,12 @@
 import express from "express";
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import { optionalAuth } from "../middleware/authMiddleware.js";
+import { cartSession } from "../middleware/cartSession.js";
+import { idempotency } from "../middleware/idempotency.js";
 import {
   addToCart,
   getCartItems,
+  getCartSummary,
+  acceptCartPrices,
   removeFromCart,
   updateCartItemQuantity,
   updateCartItemPack,
@@ -11,11 +15,16 @@ import {
 
 const router = express.Router();
 
-router.post("/", authMiddleware, addToCart);
-router.post("/batch", authMiddleware, addManyToCart); // NEW
-router.get("/", authMiddleware, getCartItems);
-router.delete("/:id", authMiddleware, removeFromCart);
-router.patch("/:id/quantity", authMiddleware, updateCartItemQuantity);
-router.patch("/:id/pack", authMiddleware, updateCartItemPack);
+// Signed-in users use their own cart; guests send the X-Cart-Token they were given
+router.use(optionalAuth, cartSession);
+
+router.post("/", idempotency, addToCart);
+router.post("/batch", idempotency, addManyToCart); // NEW
+router.get("/", getCartItems);
+router.get("/summary", getCartSummary);
+router.post("/accept-prices", idempotency, acceptCartPrices); // clears price_changed warnings
+router.delete("/:id", removeFromCart);
+router.patch("/:id/quantity", idempotency, updateCartItemQuantity);
+router.patch("/:id/pack", idempotency, updateCartItemPack);
 
 export default router;
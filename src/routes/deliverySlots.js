@@ -0,0 +1,30 @@
+// src/routes/deliverySlots.js
+import express from "express";
+import {
+  getAvailableSlots,
+  getScheduleSettings,
+  updateScheduleSettings,
+  listSlotBookings,
+  updateSlotCapacity,
+} from "../controllers/deliverySlotController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+/* ==================== PUBLIC ROUTES ==================== */
+
+// Bookable slots for the next ?days= days (send the slot's key as `deliverySlot` at checkout)
+router.get("/", getAvailableSlots);
+
+/* ==================== ADMIN ROUTES ==================== */
+
+// Opening hours, holidays, slot length and default capacity
+router.get("/admin/settings", authMiddleware, requirePermission("delivery:manage"), getScheduleSettings);
+router.put("/admin/settings", authMiddleware, requirePermission("delivery:manage"), updateScheduleSettings);
+
+// Bookings per slot for a date, and per-slot capacity overrides
+router.get("/admin/slots", authMiddleware, requirePermission("delivery:manage"), listSlotBookings);
+router.patch("/admin/slots/:key", authMiddleware, requirePermission("delivery:manage"), updateSlotCapacity);
+
+export default router;
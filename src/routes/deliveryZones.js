@@ -0,0 +1,27 @@
+// src/routes/deliveryZones.js
+import express from "express";
+import {
+  listActiveZones,
+  listZones,
+  createZone,
+  updateZone,
+  deleteZone,
+} from "../controllers/deliveryZoneController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+/* ==================== PUBLIC ROUTES ==================== */
+
+// Where we deliver (quote an address with GET /api/cart/summary?city=&area=)
+router.get("/", listActiveZones);
+
+/* ==================== ADMIN ROUTES ==================== */
+
+router.get("/admin", authMiddleware, requirePermission("delivery:manage"), listZones);
+router.post("/admin", authMiddleware, requirePermission("delivery:manage"), createZone);
+router.patch("/admin/:id", authMiddleware, requirePermission("delivery:manage"), updateZone);
+router.delete("/admin/:id", authMiddleware, requirePermission("delivery:manage"), deleteZone);
+
+export default router;
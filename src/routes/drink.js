@@ -6,7 +6,8 @@ import {
   updateDrink,
   deleteDrink,
 } from "../controllers/drinkController.js";
-import { authMiddleware, isAdmin } from "../middleware/authMiddleware.js"; // ✅ updated import
+import { authMiddleware, optionalAuth } from "../middleware/authMiddleware.js"; // ✅ updated import
+import { requirePermission } from "../middleware/authorize.js";
 import upload from "../middleware/upload.js";
 
 const router = express.Router();
@@ -17,8 +18,8 @@ const router = express.Router();
  * ==========================
  */
 
-// ✅ Get all drinks (anyone can access)
-router.get("/", getAllDrinks);
+// ✅ Get all drinks (anyone can access; staff may add ?includeHidden=true)
+router.get("/", optionalAuth, getAllDrinks);
 
 // ✅ Get single drink by ID
 router.get("/:id", getDrinkById);
@@ -30,7 +31,7 @@ router.get("/:id", getDrinkById);
  *
  * These routes require:
  * - A valid token (authMiddleware)
- * - Admin privileges (isAdmin)
+ * - The drinks:write permission (requirePermission)
  * - Optionally, image upload via Multer
  */
 
@@ -38,7 +39,7 @@ router.get("/:id", getDrinkById);
 router.post(
   "/add",
   authMiddleware,
-  isAdmin,
+  requirePermission("drinks:write"),
   upload.single("image"),
   addDrink
 );
@@ -47,7 +48,7 @@ router.post(
 router.put(
   "/:id",
   authMiddleware,
-  isAdmin,
+  requirePermission("drinks:write"),
   upload.single("image"),
   updateDrink
 );
@@ -56,7 +57,7 @@ router.put(
 router.delete(
   "/:id",
   authMiddleware,
-  isAdmin,
+  requirePermission("drinks:write"),
   deleteDrink
 );
 
@@ -6,45 +6,54 @@ import {
   getAllOrders, 
   getOrderStats, 
   cancelOrder, 
-  updateOrderStatus 
+  updateOrderStatus,
+  refundOrder,
+  markOrderPaid,
+  assignRider,
+  trackOrder
 } from "../controllers/orderController.js";
 import { authMiddleware } from "../middleware/authMiddleware.js";
+import { idempotency } from "../middleware/idempotency.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { trackingLimiter } from "../middleware/rateLimits.js";
 
 const router = express.Router();
 
-/* ==================== HELPER MIDDLEWARE ==================== */
+/* ==================== PUBLIC ROUTES ==================== */
 
-// Admin check middleware
-const requireAdmin = (req, res, next) => {
-  if (!req.user?.isAdmin) {
-    return res.status(403).json({ 
-      success: false, 
-      message: "Admin access required" 
-    });
-  }
-  next();
-};
+// Track an order by order number + checkout email or phone (no login)
+router.post("/track", trackingLimiter, trackOrder);
 
 /* ==================== USER ORDER ROUTES ==================== */
 
 // Get logged-in user's orders
 router.get("/my-orders", authMiddleware, getUserOrders);
 
-// Cancel order (user can cancel their own orders)
-router.patch("/:id/cancel", authMiddleware, cancelOrder);
+// Cancel order (users cancel their own; orders:cancel_any cancels any)
+router.patch("/:id/cancel", authMiddleware, idempotency, cancelOrder);
 
 // Get single order by ID (must come after specific routes)
 router.get("/:id", authMiddleware, getOrderById);
 
 /* ==================== ADMIN ORDER ROUTES ==================== */
+// Each route names the permission it needs (see utils/permissions.js)
 
-// Get order statistics (admin only)
-router.get("/admin/stats", authMiddleware, requireAdmin, getOrderStats);
+// Get order statistics (staff)
+router.get("/admin/stats", authMiddleware, requirePermission("orders:read"), getOrderStats);
 
-// Get all orders (admin only)  
-router.get("/admin/all", authMiddleware, requireAdmin, getAllOrders);
+// Get all orders (staff)
+router.get("/admin/all", authMiddleware, requirePermission("orders:read"), getAllOrders);
 
-// Update order status (admin only)
-router.patch("/admin/:id/status", authMiddleware, requireAdmin, updateOrderStatus);
+// Update order status (staff)
+router.patch("/admin/:id/status", authMiddleware, requirePermission("orders:update_status"), idempotency, updateOrderStatus);
+
+// Refund an order fully or partially (managers and owners)
+router.post("/admin/:id/refund", authMiddleware, requirePermission("orders:refund"), idempotency, refundOrder);
+
+// Record cash collected for a cash-on-delivery order (staff)
+router.patch("/admin/:id/mark-paid", authMiddleware, requirePermission("orders:mark_paid"), idempotency, markOrderPaid);
+
+// Assign (or reassign) the rider delivering an order (staff)
+router.patch("/admin/:id/assign-rider", authMiddleware, requirePermission("deliveries:assign"), idempotency, assignRider);
 
 export default router;
\ No newline at end of file
@@ -3,7 +3,8 @@ import express from "express";
 import { 
   initializePayment, 
   verifyPayment, 
-  webhookPayment 
+  webhookPayment,
+  submitMobileMoneyOtp
 } from "../controllers/paymentController.js";
 import { 
   getUserOrders, 
@@ -13,35 +14,39 @@ import {
   cancelOrder, 
   updateOrderStatus 
 } from "../controllers/orderController.js";
-import { authMiddleware } from "../middleware/authMiddleware.js";
+import {
+  listWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent,
+} from "../controllers/webhookEventController.js";
+import {
+  listReconciliationReports,
+  getReconciliationReport,
+  runReconciliationNow,
+} from "../controllers/reconciliationController.js";
+import { authMiddleware, optionalAuth } from "../middleware/authMiddleware.js";
+import { cartSession } from "../middleware/cartSession.js";
+import { idempotency } from "../middleware/idempotency.js";
+import { requirePermission } from "../middleware/authorize.js";
 
 const router = express.Router();
 
-/* ==================== HELPER MIDDLEWARE ==================== */
-
-// Admin authorization middleware
-const requireAdmin = (req, res, next) => {
-  if (!req.user?.isAdmin) {
-    return res.status(403).json({ 
-      success: false, 
-      message: "Admin access required" 
-    });
-  }
-  next();
-};
-
 /* ==================== PAYMENT ROUTES ==================== */
 
 // Webhook - NO express.raw() here! Must be in app.js
 // NO authentication (signature verified in controller)
 router.post("/webhook", webhookPayment);
 
-// Initialize payment
-router.post("/initialize", authMiddleware, initializePayment);
+// Initialize payment (send an Idempotency-Key so a double-tapped "Pay" replays the first response)
+// Guests check out the cart behind their X-Cart-Token with contact details only
+router.post("/initialize", optionalAuth, cartSession, idempotency, initializePayment);
 
 // Verify payment (optional fallback)
 router.get("/verify/:reference", verifyPayment);
 
+// Mobile Money: submit the OTP the network asked for
+router.post("/mobile-money/otp", optionalAuth, cartSession, idempotency, submitMobileMoneyOtp);
+
 /* ==================== USER ORDER ROUTES ==================== */
 // IMPORTANT: Specific routes MUST come before generic /:id routes
 
@@ -49,21 +54,31 @@ router.get("/verify/:reference", verifyPayment);
 router.get("/orders/my-orders", authMiddleware, getUserOrders);
 
 // Cancel order (user or admin can cancel)
-router.patch("/orders/:id/cancel", authMiddleware, cancelOrder);
+router.patch("/orders/:id/cancel", authMiddleware, idempotency, cancelOrder);
 
 // Get single order by ID (MUST be after /my-orders)
 router.get("/orders/:id", authMiddleware, getOrderById);
 
 /* ==================== ADMIN ROUTES ==================== */
-// All admin routes require authentication + admin role
+// All admin routes require authentication + a permission (see utils/permissions.js)
 
 // Get order statistics
-router.get("/admin/stats", authMiddleware, requireAdmin, getOrderStats);
+router.get("/admin/stats", authMiddleware, requirePermission("orders:read"), getOrderStats);
 
 // Get all orders
-router.get("/admin/orders", authMiddleware, requireAdmin, getAllOrders);
+router.get("/admin/orders", authMiddleware, requirePermission("orders:read"), getAllOrders);
 
 // Update order status
-router.patch("/admin/orders/:id/status", authMiddleware, requireAdmin, updateOrderStatus);
+router.patch("/admin/orders/:id/status", authMiddleware, requirePermission("orders:update_status"), idempotency, updateOrderStatus);
+
+// Webhook inbox: list stored events (failed by default), inspect, replay
+router.get("/admin/webhook-events", authMiddleware, requirePermission("payments:webhooks"), listWebhookEvents);
+router.get("/admin/webhook-events/:id", authMiddleware, requirePermission("payments:webhooks"), getWebhookEvent);
+router.post("/admin/webhook-events/:id/replay", authMiddleware, requirePermission("payments:webhooks"), replayWebhookEvent);
+
+// Paystack reconciliation reports (":id" may be "latest") and manual runs
+router.get("/admin/reconciliation", authMiddleware, requirePermission("payments:reconcile"), listReconciliationReports);
+router.post("/admin/reconciliation/run", authMiddleware, requirePermission("payments:reconcile"), runReconciliationNow);
+router.get("/admin/reconciliation/:id", authMiddleware, requirePermission("payments:reconcile"), getReconciliationReport);
 
 export default router;
\ No newline at end of file
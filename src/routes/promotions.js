@@ -0,0 +1,24 @@
+// src/routes/promotions.js
+import express from "express";
+import {
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} from "../controllers/promotionController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+/* ==================== ADMIN PROMOTION ROUTES ==================== */
+// Customers apply codes with `promoCode` at checkout (preview: GET /api/cart/summary?promoCode=)
+
+router.get("/admin", authMiddleware, requirePermission("promotions:manage"), listPromotions);
+router.post("/admin", authMiddleware, requirePermission("promotions:manage"), createPromotion);
+router.get("/admin/:id", authMiddleware, requirePermission("promotions:manage"), getPromotion);
+router.patch("/admin/:id", authMiddleware, requirePermission("promotions:manage"), updatePromotion);
+router.delete("/admin/:id", authMiddleware, requirePermission("promotions:manage"), deletePromotion);
+
+export default router;
@@ -0,0 +1,30 @@
+// src/routes/riders.js
+import express from "express";
+import {
+  getMyDeliveries,
+  getMyDelivery,
+  markPickedUp,
+  markDelivered,
+} from "../controllers/riderController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authorize.js";
+import { idempotency } from "../middleware/idempotency.js";
+import upload from "../middleware/upload.js";
+
+const router = express.Router();
+
+/* ==================== RIDER ROUTES ==================== */
+// Riders only see orders assigned to them (PATCH /api/orders/admin/:id/assign-rider)
+router.use(authMiddleware, requirePermission("deliveries:perform"));
+
+// Assigned deliveries (?status=active|completed)
+router.get("/deliveries", getMyDeliveries);
+router.get("/deliveries/:id", getMyDelivery);
+
+// Collected from the shop (processing → shipped)
+router.patch("/deliveries/:id/pickup", idempotency, markPickedUp);
+
+// Handed to the customer, with optional proof-of-delivery photo (field "proof")
+router.patch("/deliveries/:id/deliver", upload.single("proof"), idempotency, markDelivered);
+
+export default router;
@@ -0,0 +1,60 @@
+// src/routes/users.js
+import express from "express";
+import {
+  listRoles,
+  listUsers,
+  inviteUser,
+  updateUserRole,
+} from "../controllers/userController.js";
+import {
+  listLoginAttempts,
+  getSuspiciousLogins,
+  unlockLogin,
+} from "../controllers/securityController.js";
+import {
+  getProfile,
+  updateProfile,
+  listAddresses,
+  addAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} from "../controllers/profileController.js";
+import { authMiddleware } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/authorize.js";
+
+const router = express.Router();
+
+/* ==================== PROFILE ROUTES ==================== */
+
+// Own profile (name, phone) — password changes live at /api/auth/change-password
+router.get("/me", authMiddleware, getProfile);
+router.patch("/me", authMiddleware, updateProfile);
+
+// Saved delivery addresses
+router.get("/me/addresses", authMiddleware, listAddresses);
+router.post("/me/addresses", authMiddleware, addAddress);
+router.patch("/me/addresses/:addressId", authMiddleware, updateAddress);
+router.patch("/me/addresses/:addressId/default", authMiddleware, setDefaultAddress);
+router.delete("/me/addresses/:addressId", authMiddleware, deleteAddress);
+
+/* ==================== ADMIN USER ROUTES ==================== */
+
+// Login attempts: full log, suspicious emails/IPs, and clearing a lockout
+router.get("/admin/login-attempts", authMiddleware, requirePermission("users:read"), listLoginAttempts);
+router.get("/admin/login-attempts/suspicious", authMiddleware, requirePermission("users:read"), getSuspiciousLogins);
+router.post("/admin/login-attempts/unlock", authMiddleware, requirePermission("users:manage"), unlockLogin);
+
+// Roles and the permissions each one grants
+router.get("/admin/roles", authMiddleware, requirePermission("users:read"), listRoles);
+
+// List users (?role=staff for the whole team)
+router.get("/admin", authMiddleware, requirePermission("users:read"), listUsers);
+
+// Invite a team member by email
+router.post("/admin/invite", authMiddleware, requirePermission("users:manage"), inviteUser);
+
+// Promote or demote a user
+router.patch("/admin/:id/role", authMiddleware, requirePermission("users:manage"), updateUserRole);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import path from "path";
 import { fileURLToPath } from "url";
 import mongoose from "mongoose";
@@ -11,12 +12,28 @@ import drinkRoutes from "./routes/drink.js";
 import cartRoutes from "./routes/cart.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import orderRoutes from "./routes/orders.js";
+import userRoutes from "./routes/users.js";
+import promotionRoutes from "./routes/promotions.js";
+import deliveryZoneRoutes from "./routes/deliveryZones.js";
+import deliverySlotRoutes from "./routes/deliverySlots.js";
+import riderRoutes from "./routes/riders.js";
 import testEmailRoutes from "./routes/testEmail.js";
+import { authLimiter } from "./middleware/rateLimits.js";
+import { startReservationSweeper } from "./utils/reservations.js";
+import { startRefundRetrier } from "./utils/refunds.js";
+import { startReconciliationJob } from "./utils/reconciliation.js";
+import { runMigrations } from "./utils/migrations.js";
 
 dotenv.config();
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's IP
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Fix dirname for ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,6 +58,7 @@ app.use(cors({
     return callback(null, true);
   },
   credentials: true,
+  exposedHeaders: ["Idempotent-Replayed", "X-Cart-Token"],
 }));
 
 // ⚠️ CRITICAL: Webhook MUST be configured BEFORE express.json()
@@ -67,6 +85,7 @@ app.use(
 // ---------------- Middleware ----------------
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Static folder for images
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
@@ -78,11 +97,16 @@ app.use((req, res, next) => {
 });
 
 // ---------------- Routes ----------------
-app.use("/api/auth", authRoutes);
+app.use("/api/auth", authLimiter, authRoutes);
 app.use("/api/drinks", drinkRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api/orders", orderRoutes);
 app.use("/api/payments", paymentRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/promotions", promotionRoutes);
+app.use("/api/delivery-zones", deliveryZoneRoutes);
+app.use("/api/delivery-slots", deliverySlotRoutes);
+app.use("/api/rider", riderRoutes);
 app.use("/api/test-email", testEmailRoutes);
 
 // Test route
@@ -108,7 +132,13 @@ app.use((err, req, res, next) => {
 // ---------------- MongoDB Connection ----------------
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB connected successfully"))
+  .then(() => {
+    console.log("✅ MongoDB connected successfully");
+    runMigrations();
+    startReservationSweeper();
+    startRefundRetrier();
+    startReconciliationJob();
+  })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
     process.exit(1);
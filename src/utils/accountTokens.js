@@ -0,0 +1,75 @@
+// src/utils/accountTokens.js
+import crypto from "crypto";
+import UserToken from "../models/userToken.js";
+
+const DEFAULT_TTL_MINUTES = {
+  password_reset: 30,
+  email_verification: 24 * 60,
+  staff_invite: 7 * 24 * 60,
+};
+
+const TTL_ENV = {
+  password_reset: "PASSWORD_RESET_TTL_MINUTES",
+  email_verification: "EMAIL_VERIFICATION_TTL_MINUTES",
+  staff_invite: "STAFF_INVITE_TTL_MINUTES",
+};
+
+// Tokens are 32 random bytes, so a fast hash is enough to look them up safely
+const hashAccountToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * ✅ How long an emailed token stays valid
+ * - PASSWORD_RESET_TTL_MINUTES (default 30), EMAIL_VERIFICATION_TTL_MINUTES
+ *   (default 1440) and STAFF_INVITE_TTL_MINUTES (default 10080) in .env
+ */
+export function getAccountTokenTtlMs(type) {
+  const minutes = Number(process.env[TTL_ENV[type]]);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES[type]) * 60 * 1000;
+}
+
+/**
+ * ✅ Create a token for a user, replacing any unused one of the same type
+ * - Resolves to the raw token (only ever sent by email)
+ */
+export async function createAccountToken(userId, type) {
+  await UserToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashAccountToken(token),
+    expiresAt: new Date(Date.now() + getAccountTokenTtlMs(type)),
+  });
+
+  return token;
+}
+
+/**
+ * ✅ Use a token exactly once
+ * - Resolves to the token record, or null if unknown, expired or already used
+ */
+export async function consumeAccountToken(token, type) {
+  if (!token) return null;
+
+  const now = new Date();
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashAccountToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+}
+
+/**
+ * ✅ When the user's latest token of this type was issued (for resend cooldowns)
+ */
+export async function getLastAccountTokenAt(userId, type) {
+  const latest = await UserToken.findOne({ userId, type }).sort({ createdAt: -1 }).select("createdAt").lean();
+  return latest?.createdAt || null;
+}
@@ -0,0 +1,81 @@
+// src/utils/bootstrap-owner.js
+//
+// Creates the first owner account (or promotes an existing user to owner).
+//
+//   npm run bootstrap:owner -- --email you@example.com --password '...' [--username you]
+//
+// OWNER_EMAIL / OWNER_PASSWORD in .env work too. Refuses to run once an owner
+// exists unless --force is passed; later owners are managed through the API.
+//
+// Accounts created under the old isAdmin flag have no role. Add
+// --migrate-legacy-admins to give each of them the manager role.
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import dotenv from "dotenv";
+import User from "../models/user.js";
+
+dotenv.config();
+
+const readArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+const email = (readArg("email") || process.env.OWNER_EMAIL || "").trim().toLowerCase();
+const password = readArg("password") || process.env.OWNER_PASSWORD || "";
+const username = readArg("username") || email.split("@")[0];
+const force = hasFlag("force");
+const migrateLegacyAdmins = hasFlag("migrate-legacy-admins");
+
+const migrate = async () => {
+  const { modifiedCount } = await User.collection.updateMany(
+    { isAdmin: true, role: { $in: [null, "customer"] } },
+    { $set: { role: "manager" }, $unset: { isAdmin: "" } }
+  );
+  console.log(`✅ Migrated ${modifiedCount} legacy admin(s) to manager`);
+};
+
+const bootstrapOwner = async () => {
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error("Pass --email (or set OWNER_EMAIL)");
+  }
+
+  const existingOwner = await User.findOne({ role: "owner" }).select("email").lean();
+  if (existingOwner && !force) {
+    throw new Error(`An owner already exists (${existingOwner.email}); pass --force to add another`);
+  }
+
+  const user = await User.findOne({ email });
+  if (user) {
+    user.role = "owner";
+    await user.save();
+    console.log(`✅ ${email} is now an owner`);
+    return;
+  }
+
+  if (password.length < 8) {
+    throw new Error("Pass --password (or set OWNER_PASSWORD) with at least 8 characters");
+  }
+
+  await User.create({
+    username,
+    email,
+    passwordHash: await bcrypt.hash(password, 10),
+    role: "owner",
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  console.log(`✅ Created owner ${email}`);
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI);
+  if (migrateLegacyAdmins) await migrate();
+  if (email || !migrateLegacyAdmins) await bootstrapOwner();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
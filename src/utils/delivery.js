@@ -0,0 +1,125 @@
+// src/utils/delivery.js
+import DeliveryZone from "../models/deliveryZone.js";
+import { roundMoney } from "./pricing.js";
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalizePlace = (value) => String(value || "").trim().toLowerCase().replace(/\s+/g, " ");
+
+const hasPoint = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lng);
+
+/**
+ * ✅ Shop location for radius zones without their own center
+ * - SHOP_LAT / SHOP_LNG in .env; null when not configured
+ */
+export function getShopLocation() {
+  const point = { lat: Number(process.env.SHOP_LAT), lng: Number(process.env.SHOP_LNG) };
+  return process.env.SHOP_LAT && process.env.SHOP_LNG && hasPoint(point) ? point : null;
+}
+
+/**
+ * ✅ Great-circle distance between two { lat, lng } points, in km
+ */
+export function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * ✅ Is a point inside a polygon of { lat, lng } vertices? (ray casting)
+ */
+export function isPointInPolygon(point, polygon = []) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses =
+      a.lat > point.lat !== b.lat > point.lat &&
+      point.lng < ((b.lng - a.lng) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * ✅ Does a zone cover the customer's address?
+ * - Area zones match the customer's area or city by name
+ * - Polygon and radius zones need the address's GPS pin (customer.location)
+ */
+export function zoneCovers(zone, customer = {}) {
+  if (zone.matchType === "areas") {
+    const area = normalizePlace(customer.area);
+    const city = normalizePlace(customer.city);
+    return (Boolean(area) && zone.areas.includes(area)) || (Boolean(city) && zone.cities.includes(city));
+  }
+
+  if (!hasPoint(customer.location)) return false;
+
+  if (zone.matchType === "polygon") return isPointInPolygon(customer.location, zone.polygon);
+
+  const center = hasPoint(zone.center) ? zone.center : getShopLocation();
+  return Boolean(center) && distanceKm(center, customer.location) <= zone.radiusKm;
+}
+
+/**
+ * ✅ The active zone covering an address (first by priority)
+ * - Resolves to { zone, configured }; `configured` is false when no active
+ *   zones exist yet, in which case delivery stays free and unrestricted
+ */
+export async function findDeliveryZone(customer) {
+  const zones = await DeliveryZone.find({ active: true }).sort({ priority: 1, createdAt: 1 });
+  return {
+    zone: zones.find((zone) => zoneCovers(zone, customer)) || null,
+    configured: zones.length > 0,
+  };
+}
+
+/**
+ * ✅ Delivery terms for an address and items subtotal (GHS)
+ * - Resolves to { deliverable, fee, zone, earliestDeliveryAt, error, code }
+ * - code "UNDELIVERABLE" (no zone) or "BELOW_MINIMUM" (zone minimum not met)
+ */
+export async function quoteDelivery(customer, subtotal) {
+  const { zone, configured } = await findDeliveryZone(customer);
+
+  if (!configured) {
+    return { deliverable: true, fee: 0, zone: null, earliestDeliveryAt: null };
+  }
+
+  if (!zone) {
+    return {
+      deliverable: false,
+      code: "UNDELIVERABLE",
+      error: "Sorry, we don't deliver to this address yet",
+    };
+  }
+
+  const summary = {
+    zoneId: zone._id,
+    name: zone.name,
+    fee: zone.fee,
+    freeDeliveryThreshold: zone.freeDeliveryThreshold,
+    minOrderAmount: zone.minOrderAmount,
+    leadTimeMinutes: zone.leadTimeMinutes,
+  };
+
+  if (subtotal < zone.minOrderAmount) {
+    return {
+      deliverable: false,
+      code: "BELOW_MINIMUM",
+      error: `Orders to ${zone.name} need at least ₵${zone.minOrderAmount.toFixed(2)} of items`,
+      zone: summary,
+    };
+  }
+
+  const isFree = zone.freeDeliveryThreshold !== null && subtotal >= zone.freeDeliveryThreshold;
+  return {
+    deliverable: true,
+    fee: isFree ? 0 : roundMoney(zone.fee),
+    zone: summary,
+    earliestDeliveryAt: new Date(Date.now() + zone.leadTimeMinutes * 60 * 1000),
+  };
+}
@@ -0,0 +1,198 @@
+// src/utils/deliverySlots.js
+import DeliverySettings from "../models/deliverySettings.js";
+import DeliverySlot from "../models/deliverySlot.js";
+import DeliverySlotBooking from "../models/deliverySlotBooking.js";
+
+/*
+ * Delivery slots are generated from the opening hours (never stored up
+ * front); a DeliverySlot counter is created the first time one is booked.
+ * A checkout books its slot against its payment reference, and the booking
+ * is given back with the checkout's stock hold or when the order is
+ * cancelled. Shop time is GMT, so everything here works in UTC.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT_KEY = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+
+const logSlotEvent = (event, data) => {
+  console.log(`[DELIVERY_SLOT ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const toTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * ✅ The delivery schedule, or null when slots haven't been set up
+ * - Without a schedule, checkout keeps accepting a free-form deliveryDate/deliveryTime
+ */
+export async function getDeliverySettings() {
+  return DeliverySettings.findOne({ key: "default" });
+}
+
+/**
+ * ✅ Slots offered on one date ("YYYY-MM-DD"), ignoring capacity
+ * - Empty on holidays and closed days; a slot never runs past closing time
+ */
+export function buildSlotsForDate(settings, date) {
+  if (settings.holidays.some((h) => h.date === date)) return [];
+
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const hours = settings.openingHours.find((h) => h.day === day);
+  if (!hours || hours.closed) return [];
+
+  const slots = [];
+  const close = toMinutes(hours.close);
+  for (let start = toMinutes(hours.open); start + settings.slotMinutes <= close; start += settings.slotMinutes) {
+    const startTime = toTime(start);
+    slots.push({
+      key: `${date}T${startTime}`,
+      date,
+      start: startTime,
+      end: toTime(start + settings.slotMinutes),
+      startsAt: new Date(`${date}T${startTime}:00Z`),
+    });
+  }
+  return slots;
+}
+
+/**
+ * ✅ Slots for the next `days` days with what's left in each
+ * - Slots starting before `earliestAt` (now, or now + a zone's lead time) are left out
+ * - Resolves to [{ date, holiday, slots: [{ key, start, end, capacity, remaining, available }] }]
+ */
+export async function listAvailableSlots(settings, { days = 7, earliestAt = new Date() } = {}) {
+  const dayCount = Math.min(Math.max(1, days), settings.maxDaysAhead);
+  const today = new Date(`${toDateString(new Date())}T00:00:00Z`);
+
+  const dates = Array.from({ length: dayCount }, (_, i) => toDateString(new Date(today.getTime() + i * DAY_MS)));
+  const offered = dates.map((date) => ({
+    date,
+    holiday: settings.holidays.find((h) => h.date === date)?.note ?? null,
+    slots: buildSlotsForDate(settings, date).filter((slot) => slot.startsAt > earliestAt),
+  }));
+
+  const keys = offered.flatMap((d) => d.slots.map((s) => s.key));
+  const counters = await DeliverySlot.find({ key: { $in: keys } }).lean();
+  const byKey = new Map(counters.map((c) => [c.key, c]));
+
+  return offered.map((day) => ({
+    date: day.date,
+    holiday: day.holiday,
+    slots: day.slots.map((slot) => {
+      const counter = byKey.get(slot.key);
+      const capacity = counter?.capacity ?? settings.slotCapacity;
+      const remaining = Math.max(0, capacity - (counter?.bookedCount || 0));
+      return { key: slot.key, start: slot.start, end: slot.end, capacity, remaining, available: remaining > 0 };
+    }),
+  }));
+}
+
+/**
+ * ✅ Find an offered slot by key ("YYYY-MM-DDTHH:mm"), or null
+ */
+export function findSlot(settings, key) {
+  const match = SLOT_KEY.exec(String(key || ""));
+  if (!match) return null;
+  return buildSlotsForDate(settings, match[1]).find((slot) => slot.key === key) || null;
+}
+
+/**
+ * ✅ Book a slot for a checkout
+ * - Rejects slots that aren't offered, start before `earliestAt`, are too far ahead, or are full
+ * - Resolves to { slot } or { error, code } with code SLOT_INVALID, SLOT_PAST or SLOT_FULL
+ */
+export async function bookSlot(settings, { key, reference, earliestAt = new Date() }) {
+  const slot = findSlot(settings, key);
+  if (!slot) return { code: "SLOT_INVALID", error: "That delivery slot isn't offered" };
+
+  if (slot.startsAt <= earliestAt) {
+    return { code: "SLOT_PAST", error: "That delivery slot is no longer available — please pick a later one" };
+  }
+  if (slot.startsAt.getTime() - Date.now() > settings.maxDaysAhead * DAY_MS) {
+    return { code: "SLOT_INVALID", error: `Delivery can be booked up to ${settings.maxDaysAhead} days ahead` };
+  }
+
+  // Counter is created on first booking with today's default capacity
+  try {
+    await DeliverySlot.updateOne(
+      { key: slot.key },
+      {
+        $setOnInsert: {
+          date: slot.date,
+          start: slot.start,
+          end: slot.end,
+          capacity: settings.slotCapacity,
+          bookedCount: 0,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const counter = await DeliverySlot.findOneAndUpdate(
+    { key: slot.key, $expr: { $lt: ["$bookedCount", "$capacity"] } },
+    { $inc: { bookedCount: 1 } },
+    { new: true }
+  );
+  if (!counter) return { code: "SLOT_FULL", error: "That delivery slot is fully booked — please pick another" };
+
+  try {
+    await DeliverySlotBooking.create({ slotKey: slot.key, reference });
+  } catch (error) {
+    await DeliverySlot.updateOne({ key: slot.key }, { $inc: { bookedCount: -1 } });
+    throw error;
+  }
+
+  logSlotEvent("BOOKED", { key: slot.key, reference, bookedCount: counter.bookedCount });
+  return { slot };
+}
+
+/**
+ * ✅ Give a checkout's slot back (abandoned checkout or cancelled order)
+ * - Safe to call more than once, or for checkouts without a slot
+ */
+export async function releaseSlotBooking(reference, reason = "") {
+  const booking = await DeliverySlotBooking.findOneAndUpdate(
+    { reference, status: "booked" },
+    { $set: { status: "released", releasedReason: reason } },
+    { new: true }
+  );
+  if (!booking) return false;
+
+  await DeliverySlot.updateOne(
+    { key: booking.slotKey, bookedCount: { $gt: 0 } },
+    { $inc: { bookedCount: -1 } }
+  );
+  logSlotEvent("RELEASED", { key: booking.slotKey, reference, reason });
+  return true;
+}
+
+/**
+ * ✅ The order was paid (or confirmed): keep its slot
+ * - Re-books a slot released earlier (e.g. a late payment after the hold expired),
+ *   even past capacity, since the customer has paid for it
+ */
+export async function confirmSlotBooking(reference) {
+  const booking = await DeliverySlotBooking.findOneAndUpdate(
+    { reference, status: "released" },
+    { $set: { status: "booked", releasedReason: "" } },
+    { new: true }
+  );
+  if (!booking) return false;
+
+  await DeliverySlot.updateOne({ key: booking.slotKey }, { $inc: { bookedCount: 1 } });
+  logSlotEvent("REBOOKED", { key: booking.slotKey, reference });
+  return true;
+}
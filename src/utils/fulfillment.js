@@ -0,0 +1,487 @@
+// src/utils/fulfillment.js
+import Order from "../models/order.js";
+import Cart from "../models/cart.js";
+import { sendEmail } from "./Email.js";
+import { decrementStock } from "./inventory.js";
+import { consumeReservation } from "./reservations.js";
+import { redeemPromotionUse } from "./promotions.js";
+import { confirmSlotBooking } from "./deliverySlots.js";
+import { statusEntry } from "./orderStatus.js";
+
+/*
+ * Order fulfilment shared by the Paystack webhook and the verify fallback.
+ * Orders are persisted as pending at initialization; fulfilment is the single
+ * atomic pending → paid transition keyed on paystackReference, followed by
+ * stock, email and cart side effects that run exactly once per order.
+ * Cash-on-delivery orders skip the online payment and are confirmed at
+ * checkout; the cash is recorded later with markOrderPaidOffline().
+ */
+
+/* ==================== HELPERS ==================== */
+
+// A failed charge can still be retried on the same reference
+export const PAYABLE_STATUSES = ["pending", "failed"];
+
+// Structured logging
+const logFulfillmentEvent = (event, data) => {
+  console.log(`[FULFILMENT ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Alert admin when Paystack charged less than the stored order total
+const reportAmountMismatch = async (order, paystackAmount, expectedAmount) => {
+  const difference = expectedAmount - paystackAmount;
+
+  logFulfillmentEvent("AMOUNT_MISMATCH", {
+    orderId: order._id,
+    reference: order.paystackReference,
+    paystackAmount,
+    expectedAmount,
+    difference,
+  });
+
+  if (!process.env.ADMIN_EMAIL) return;
+
+  try {
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL,
+      subject: `🚨 Payment Amount Mismatch - ${order.paystackReference}`,
+      html: `
+        <h2>⚠️ Payment Amount Mismatch Detected</h2>
+        <p><strong>Reference:</strong> ${order.paystackReference}</p>
+        <p><strong>Order ID:</strong> ${order._id}</p>
+        <p><strong>Paystack Amount:</strong> ₵${(paystackAmount / 100).toFixed(2)}</p>
+        <p><strong>Expected Amount:</strong> ₵${(expectedAmount / 100).toFixed(2)}</p>
+        <p><strong>Difference:</strong> ₵${(difference / 100).toFixed(2)}</p>
+        <p><strong>Customer:</strong> ${order.customer?.email}</p>
+        <p style="color: red;"><strong>Action Required:</strong> Manual review needed — the order was left unpaid.</p>
+      `,
+    });
+  } catch (err) {
+    console.error("Failed to send mismatch alert:", err);
+  }
+};
+
+// Take a paid order's items off stock; oversells are logged for admin follow-up.
+// If the checkout still holds a reservation, its stock was already taken.
+const updateStockForOrder = async (order) => {
+  try {
+    if (!(await consumeReservation(order.paystackReference))) {
+      const oversold = await decrementStock(order.items);
+      if (oversold.length > 0) {
+        logFulfillmentEvent("STOCK_OVERSOLD", { orderId: order._id, oversold });
+      }
+    }
+
+    // Cancellation puts committed stock back instead of releasing a reservation
+    await Order.updateOne({ _id: order._id }, { $set: { stockCommitted: true } });
+  } catch (error) {
+    console.error("Failed to update stock:", error);
+    logFulfillmentEvent("STOCK_UPDATE_FAILED", {
+      orderId: order._id,
+      error: error.message,
+    });
+  }
+};
+
+// Tell admin an order was set aside for review and what to decide
+const alertAdminReview = async (order, note, action) => {
+  if (!process.env.ADMIN_EMAIL) return;
+
+  try {
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL,
+      subject: `⚠️ Order Needs Review - ${order.orderNumber || order._id}`,
+      html: `
+        <h2>⚠️ Order Flagged for Review</h2>
+        <p><strong>Reference:</strong> ${order.paystackReference}</p>
+        <p><strong>Order ID:</strong> ${order._id}</p>
+        <p><strong>Reason:</strong> ${note}</p>
+        <p><strong>Customer:</strong> ${order.customer?.email}</p>
+        <p style="color: red;"><strong>Action Required:</strong> ${action}</p>
+      `,
+    });
+  } catch (err) {
+    console.error("Failed to send review alert:", err);
+  }
+};
+
+// Set a paid order aside for manual review and alert admin
+const flagOrderForReview = async (order, reason, note) => {
+  await Order.updateOne({ _id: order._id }, { $set: { review: { reason, note, flaggedAt: new Date() } } });
+  logFulfillmentEvent("FLAGGED_FOR_REVIEW", { orderId: order._id, reference: order.paystackReference, reason });
+
+  await alertAdminReview(order, note, "The order was paid and confirmed; decide whether to honour the discount.");
+};
+
+// Paystack charged an order that was already cancelled: record the money and
+// flag it for a refund. Only the first delivery of the charge gets through.
+const recordPaymentAfterCancel = async (existing, amountPaid, source) => {
+  const note = `Paid ₵${(Number(amountPaid) / 100).toFixed(2)} after the order was cancelled (${source})`;
+
+  const order = await Order.findOneAndUpdate(
+    { _id: existing._id, paymentStatus: "cancelled", review: null },
+    {
+      $set: {
+        amountPaid: Number(amountPaid) / 100,
+        paidAt: new Date(),
+        review: { reason: "paid_after_cancel", note, flaggedAt: new Date() },
+      },
+      $push: { paymentEvents: { event: "charge.success", note } },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+
+  logFulfillmentEvent("PAID_AFTER_CANCEL", { orderId: order._id, reference: order.paystackReference, source });
+  await alertAdminReview(order, note, "The order stays cancelled; refund the customer's payment.");
+  return order;
+};
+
+// The order is paid or confirmed: its promo code use and delivery slot are final.
+// A late payment whose promo use was given back may find the code's limits used up.
+const finalizeCheckoutHolds = async (order) => {
+  try {
+    if (order.discount) {
+      const promo = await redeemPromotionUse(order.paystackReference);
+      if (promo.limitExceeded) await flagOrderForReview(order, "promo_limit_exceeded", promo.error);
+    }
+    if (order.deliverySlot) await confirmSlotBooking(order.paystackReference);
+  } catch (error) {
+    console.error("Failed to finalize promotion/slot:", error);
+    logFulfillmentEvent("CHECKOUT_HOLDS_FAILED", { orderId: order._id, error: error.message });
+  }
+};
+
+// Send customer confirmation email
+const sendCustomerEmail = async (order, customer, items, totalAmount) => {
+  if (!customer?.email) return;
+
+  try {
+    const { discount } = order;
+    const itemsHTML = items
+      .map(
+        (it) =>
+          `<li>${it.quantity} × ${it.name} ${it.pack ? `(${it.pack})` : ""} — ₵${it.price.toFixed(2)}</li>`
+      )
+      .join("");
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">Order Confirmed ✅</h2>
+        </div>
+        <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;">
+          <p>Hi ${customer.fullName},</p>
+          <p>Thank you for your order! ${
+            order.paymentMethod === "cash_on_delivery"
+              ? `Please have ₵${totalAmount.toFixed(2)} ready to pay in cash on delivery.`
+              : "Your payment has been confirmed."
+          }</p>
+          
+          <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
+            <p style="margin: 5px 0;"><strong>Reference:</strong> ${order.paystackReference}</p>
+            ${order.deliveryDate ? `<p style="margin: 5px 0;"><strong>Delivery:</strong> ${order.deliveryDate} ${order.deliveryTime || ""}</p>` : ""}
+          </div>
+
+          <h3>Order Summary:</h3>
+          <ul style="padding-left: 20px;">${itemsHTML}</ul>
+          
+          <div style="text-align: right; margin-top: 20px; padding-top: 15px; border-top: 2px solid #0f5132;">
+            ${order.subtotal !== null && (discount || order.deliveryFee > 0) ? `
+              <p style="margin: 5px 0;">Subtotal: ₵${order.subtotal.toFixed(2)}</p>
+              ${discount?.amount > 0 ? `<p style="margin: 5px 0; color: #0f5132;">Discount (${discount.code}): −₵${discount.amount.toFixed(2)}</p>` : ""}
+              ${order.deliveryFee > 0 ? `<p style="margin: 5px 0;">Delivery${order.deliveryZone?.name ? ` (${order.deliveryZone.name})` : ""}: ₵${order.deliveryFee.toFixed(2)}</p>` : ""}
+              ${discount?.deliveryAmount > 0 ? `<p style="margin: 5px 0; color: #0f5132;">Delivery discount (${discount.code}): −₵${discount.deliveryAmount.toFixed(2)}</p>` : ""}
+            ` : ""}
+            <p style="margin: 0; font-size: 20px; font-weight: bold;">Total: ₵${totalAmount.toFixed(2)}</p>
+          </div>
+
+          <p style="margin-top: 20px; color: #666; font-size: 14px;">
+            We'll notify you when your order is ready for delivery.
+          </p>
+        </div>
+      </div>
+    `;
+
+    await sendEmail({
+      to: customer.email,
+      subject: `Order Confirmed - ${order.orderNumber || order._id}`,
+      html,
+    });
+
+    logFulfillmentEvent("CUSTOMER_EMAIL_SENT", { 
+      orderId: order._id, 
+      email: customer.email 
+    });
+  } catch (error) {
+    console.error("Failed to send customer email:", error);
+    logFulfillmentEvent("CUSTOMER_EMAIL_FAILED", { 
+      orderId: order._id, 
+      error: error.message 
+    });
+  }
+};
+
+// Send admin notification email
+const sendAdminEmail = async (order, customer, items, totalAmount) => {
+  if (!process.env.ADMIN_EMAIL) return;
+
+  try {
+    const itemsRows = items
+      .map(
+        (it) => `
+        <tr>
+          <td style="padding: 8px; border: 1px solid #ddd;">
+            <img src="${it.image || 'https://via.placeholder.com/60'}" width="60" style="border-radius: 4px;" alt="${it.name}">
+          </td>
+          <td style="padding: 8px; border: 1px solid #ddd;">
+            <strong>${it.name}</strong>
+            ${it.pack ? `<br><small style="color: #666;">Pack: ${it.pack}</small>` : ""}
+          </td>
+          <td style="padding: 8px; border: 1px solid #ddd; text-align: center;">${it.quantity}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; text-align: right;">₵${it.price.toFixed(2)}</td>
+          <td style="padding: 8px; border: 1px solid #ddd; text-align: right;">₵${(it.price * it.quantity).toFixed(2)}</td>
+        </tr>
+      `
+      )
+      .join("");
+
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 700px; margin: 0 auto;">
+        <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
+          <h2 style="margin: 0;">🛒 New Order Received</h2>
+          <p style="margin: 10px 0 0;">Order ID: <strong>${order._id}</strong>${order.orderNumber ? ` · No. <strong>${order.orderNumber}</strong>` : ""}</p>
+        </div>
+        
+        <div style="padding: 20px; border: 1px solid #ddd; border-top: none; border-radius: 0 0 8px 8px;">
+          <h3 style="margin-top: 0;">Customer Information</h3>
+          <table style="width: 100%; margin-bottom: 20px;">
+            <tr>
+              <td style="padding: 5px 0;"><strong>Name:</strong></td>
+              <td>${customer.fullName}</td>
+            </tr>
+            <tr>
+              <td style="padding: 5px 0;"><strong>Email:</strong></td>
+              <td>${customer.email}</td>
+            </tr>
+            <tr>
+              <td style="padding: 5px 0;"><strong>Phone:</strong></td>
+              <td>${customer.phone}</td>
+            </tr>
+            <tr>
+              <td style="padding: 5px 0;"><strong>Address:</strong></td>
+              <td>${customer.address}${customer.city ? `, ${customer.city}` : ""}</td>
+            </tr>
+          </table>
+
+          <h3>Order Items</h3>
+          <table style="width: 100%; border-collapse: collapse; margin-bottom: 20px;">
+            <thead>
+              <tr style="background: #f5f5f5;">
+                <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Image</th>
+                <th style="padding: 8px; border: 1px solid #ddd; text-align: left;">Product</th>
+                <th style="padding: 8px; border: 1px solid #ddd; text-align: center;">Qty</th>
+                <th style="padding: 8px; border: 1px solid #ddd; text-align: right;">Unit Price</th>
+                <th style="padding: 8px; border: 1px solid #ddd; text-align: right;">Subtotal</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${itemsRows}
+            </tbody>
+          </table>
+
+          <div style="background: #f8f9fa; padding: 15px; border-radius: 5px;">
+            <p style="margin: 5px 0;"><strong>Total Items:</strong> ${order.totalItems}</p>
+            ${order.deliveryZone ? `<p style="margin: 5px 0;"><strong>Delivery Zone:</strong> ${order.deliveryZone.name} (fee ₵${(order.deliveryFee || 0).toFixed(2)})</p>` : ""}
+            ${order.discount ? `<p style="margin: 5px 0;"><strong>Promo Code:</strong> ${order.discount.code} (−₵${(order.discount.amount + order.discount.deliveryAmount).toFixed(2)})</p>` : ""}
+            ${order.deliveryDate ? `<p style="margin: 5px 0;"><strong>Delivery:</strong> ${order.deliveryDate} ${order.deliveryTime || ""}</p>` : ""}
+            <p style="margin: 5px 0;"><strong>Payment Method:</strong> ${order.paymentMethod}</p>
+            <p style="margin: 5px 0;"><strong>Payment Reference:</strong> ${order.paystackReference}</p>
+            <p style="margin: 15px 0 5px; font-size: 20px; font-weight: bold; color: #0f5132;">
+              Total: ₵${totalAmount.toFixed(2)}
+            </p>
+          </div>
+
+          <p style="margin-top: 20px; font-size: 12px; color: #666;">
+            Log into your admin dashboard to manage this order.
+          </p>
+        </div>
+      </div>
+    `;
+
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL,
+      subject: `🛒 New Order — ₵${totalAmount.toFixed(2)}`,
+      html,
+    });
+
+    logFulfillmentEvent("ADMIN_EMAIL_SENT", { 
+      orderId: order._id 
+    });
+  } catch (error) {
+    console.error("Failed to send admin email:", error);
+    logFulfillmentEvent("ADMIN_EMAIL_FAILED", { 
+      orderId: order._id, 
+      error: error.message 
+    });
+  }
+};
+
+// Confirmation emails (async, don't block the caller) and cart clean-up
+const notifyAndClearCart = async (order) => {
+  Promise.all([
+    sendCustomerEmail(order, order.customer, order.items, order.totalAmount),
+    sendAdminEmail(order, order.customer, order.items, order.totalAmount),
+  ]).catch(err => console.error("Email error:", err));
+
+  const owner = order.userId ? { userId: order.userId } : order.guestId ? { guestId: order.guestId } : null;
+  if (owner) {
+    try {
+      await Cart.deleteMany(owner);
+      logFulfillmentEvent("CART_CLEARED", owner);
+    } catch (err) {
+      console.warn("Failed to clear cart:", err);
+    }
+  }
+};
+
+/* ==================== FULFIL ORDER ==================== */
+
+/**
+ * Mark the order for a Paystack reference as paid and run its side effects.
+ *
+ * @param {Object} params
+ * @param {string} params.reference       Paystack transaction reference
+ * @param {number} params.amountPaid      Amount charged, in pesewas
+ * @param {string} [params.source]        Caller, for logs ("webhook", "verify", ...)
+ * "paid_after_cancel" means the order had been cancelled before the charge
+ * went through: it stays cancelled and is flagged for a refund.
+ *
+ * @returns {Promise<{ status: "paid"|"duplicate"|"paid_after_cancel"|"not_found"|"amount_mismatch", order: Object|null }>}
+ */
+export const fulfillOrder = async ({ reference, amountPaid, source = "unknown" }) => {
+  const existing = await Order.findOne({ paystackReference: reference });
+  if (!existing) {
+    logFulfillmentEvent("ORDER_NOT_FOUND", { reference, source });
+    return { status: "not_found", order: null };
+  }
+
+  // Not payable any more: cancelled before the money arrived, or already paid
+  if (existing.paymentStatus === "cancelled" && !existing.review) {
+    const flagged = await recordPaymentAfterCancel(existing, amountPaid, source);
+    if (flagged) return { status: "paid_after_cancel", order: flagged };
+  }
+
+  if (!PAYABLE_STATUSES.includes(existing.paymentStatus)) {
+    logFulfillmentEvent("DUPLICATE", { orderId: existing._id, reference, source });
+    return { status: "duplicate", order: existing };
+  }
+
+  // CRITICAL: Verify payment amount against the stored order total
+  const expectedAmount = Math.round(existing.totalAmount * 100); // Convert to pesewas
+  if (!(Number(amountPaid) >= expectedAmount)) {
+    await reportAmountMismatch(existing, Number(amountPaid), expectedAmount);
+    return { status: "amount_mismatch", order: existing };
+  }
+
+  // Atomic pending → paid transition: only one caller can ever win it
+  const order = await Order.findOneAndUpdate(
+    { _id: existing._id, paymentStatus: { $in: PAYABLE_STATUSES } },
+    {
+      $set: {
+        paymentStatus: "paid",
+        orderStatus: "confirmed",
+        amountPaid: Number(amountPaid) / 100,
+        paidAt: new Date(),
+      },
+      $push: {
+        statusHistory: statusEntry({
+          status: "confirmed",
+          from: existing.orderStatus,
+          source: "system",
+          note: `Payment confirmed (${source})`,
+        }),
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    logFulfillmentEvent("DUPLICATE", { orderId: existing._id, reference, source });
+    return { status: "duplicate", order: await Order.findById(existing._id) };
+  }
+
+  logFulfillmentEvent("ORDER_PAID", {
+    orderId: order._id,
+    reference,
+    source,
+    totalAmount: order.totalAmount,
+    email: order.customer.email,
+  });
+
+  await updateStockForOrder(order);
+  await finalizeCheckoutHolds(order);
+  await notifyAndClearCart(order);
+
+  return { status: "paid", order };
+};
+
+/* ==================== CASH ON DELIVERY ==================== */
+
+/**
+ * Run the confirmation side effects for a cash-on-delivery order.
+ * Stock is committed by the caller at checkout; this sends the emails and
+ * clears the customer's cart.
+ *
+ * @param {Object} order  The confirmed (unpaid) order
+ * @returns {Promise<void>}
+ */
+export const confirmCashOnDeliveryOrder = async (order) => {
+  logFulfillmentEvent("ORDER_CONFIRMED_COD", {
+    orderId: order._id,
+    reference: order.paystackReference,
+    totalAmount: order.totalAmount,
+    email: order.customer.email,
+  });
+
+  await finalizeCheckoutHolds(order);
+  await notifyAndClearCart(order);
+};
+
+/**
+ * Record cash collected for a cash-on-delivery order.
+ *
+ * @param {Object} order
+ * @param {Object} [options]
+ * @param {string} [options.by]    User who collected the cash
+ * @param {string} [options.note]
+ * @returns {Promise<Object|null>} The paid order, or null if it was not awaiting cash
+ */
+export const markOrderPaidOffline = async (order, { by = null, note = "" } = {}) => {
+  const paid = await Order.findOneAndUpdate(
+    { _id: order._id, paymentStatus: "unpaid" },
+    {
+      $set: {
+        paymentStatus: "paid",
+        amountPaid: order.totalAmount,
+        paidAt: new Date(),
+      },
+      $push: {
+        paymentEvents: {
+          event: "cash.collected",
+          note: note || `Cash collected${by ? ` by ${by}` : ""}`,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (paid) {
+    logFulfillmentEvent("ORDER_PAID_OFFLINE", { orderId: paid._id, by, amount: paid.amountPaid });
+  }
+  return paid;
+};
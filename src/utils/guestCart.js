@@ -0,0 +1,101 @@
+// src/utils/guestCart.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Cart from "../models/cart.js";
+import Order from "../models/order.js";
+
+// Guest carts are deleted after this long without changes (see models/cart.js)
+const CART_TOKEN_EXPIRES = "30d";
+const CART_TOKEN_PURPOSE = "guest_cart";
+
+const logGuestCartEvent = (event, data) => {
+  console.log(`[GUEST_CART ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ Fresh id for an anonymous cart
+ */
+export function generateGuestId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * ✅ Signed token that identifies an anonymous cart
+ * - Carries a `purpose`, so authMiddleware never accepts it as a session
+ */
+export function signCartToken(guestId) {
+  return jwt.sign({ guestId, purpose: CART_TOKEN_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CART_TOKEN_EXPIRES,
+  });
+}
+
+/**
+ * ✅ Guest id from a cart token, or null when missing, invalid or expired
+ */
+export function verifyCartToken(token) {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === CART_TOKEN_PURPOSE && decoded.guestId ? decoded.guestId : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * ✅ Cart token sent by the client (X-Cart-Token header, or `cartToken` in the body)
+ */
+export function readCartToken(req) {
+  return req.get("X-Cart-Token") || req.body?.cartToken || null;
+}
+
+/**
+ * ✅ Move a guest cart into a user's cart
+ * - Same drink and pack already in the user's cart: quantities are added and
+ *   the guest line removed (the rule updateCartItemPack uses)
+ * - Anything else is handed over to the user as is
+ * - Resolves to the number of guest lines merged
+ */
+export async function mergeGuestCart(guestId, userId) {
+  const guestItems = await Cart.find({ guestId });
+
+  for (const item of guestItems) {
+    const existingItem = await Cart.findOne({ userId, drinkId: item.drinkId, pack: item.pack });
+
+    if (existingItem) {
+      existingItem.quantity += item.quantity;
+      await existingItem.save();
+      await item.deleteOne();
+    } else {
+      await Cart.updateOne({ _id: item._id }, { $set: { userId, guestId: null } });
+    }
+  }
+
+  if (guestItems.length > 0) {
+    logGuestCartEvent("MERGED", { guestId, userId, lines: guestItems.length });
+  }
+  return guestItems.length;
+}
+
+/**
+ * ✅ Attach past guest orders placed with the user's email to their account
+ * - Only for verified emails, so signing up with someone else's address
+ *   doesn't reveal their orders
+ * - Resolves to the number of orders linked
+ */
+export async function linkGuestOrders(user) {
+  if (!user?.emailVerified || !user.email) return 0;
+
+  const { modifiedCount } = await Order.updateMany(
+    { userId: null, "customer.email": user.email.toLowerCase() },
+    { $set: { userId: user._id } }
+  );
+
+  if (modifiedCount > 0) {
+    logGuestCartEvent("ORDERS_LINKED", { userId: user._id, count: modifiedCount });
+  }
+  return modifiedCount;
+}
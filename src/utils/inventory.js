@@ -0,0 +1,167 @@
+// src/utils/inventory.js
+import Drink from "../models/drinks.js";
+
+// Statuses an admin sets by hand; stock changes never override them
+const MANUAL_STATUSES = ["inactive"];
+
+/**
+ * ✅ Low-stock threshold for a drink
+ * - Per-drink `lowStockThreshold` wins over LOW_STOCK_THRESHOLD (default 5)
+ */
+export function getLowStockThreshold(drink) {
+  if (drink?.lowStockThreshold !== null && drink?.lowStockThreshold !== undefined) {
+    return drink.lowStockThreshold;
+  }
+  const fromEnv = Number(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isFinite(fromEnv) && fromEnv >= 0 ? fromEnv : 5;
+}
+
+/**
+ * ✅ Is stock tracked for this pack?
+ */
+export function isTracked(pack) {
+  return pack?.stock !== null && pack?.stock !== undefined;
+}
+
+/**
+ * ✅ Find a pack entry on a drink by its pack size
+ */
+export function findPack(drink, pack) {
+  return drink?.packs?.find((p) => String(p.pack) === String(pack));
+}
+
+/**
+ * ✅ Status a drink should have based on its pack stock
+ * - Returns the current status untouched when stock is not tracked
+ *   or the admin has hidden the drink
+ */
+export function computeStockStatus(drink) {
+  const packs = drink?.packs || [];
+  if (MANUAL_STATUSES.includes(drink.status)) return drink.status;
+  if (!packs.length || !packs.every(isTracked)) return drink.status;
+
+  const totalStock = packs.reduce((sum, p) => sum + p.stock, 0);
+  if (totalStock <= 0) return "out of stock";
+  if (totalStock <= getLowStockThreshold(drink)) return "few packs left";
+  return "active";
+}
+
+/**
+ * ✅ Validate a requested quantity against stock on hand
+ * - Returns an error message, or null when the quantity can be supplied
+ */
+export function checkAvailability(drink, pack, quantity) {
+  if (!drink) return "Drink no longer exists";
+  if (drink.available === false || drink.status === "inactive") {
+    return `${drink.name} is currently unavailable`;
+  }
+
+  const packEntry = findPack(drink, pack);
+  if (!packEntry) return `Pack ${pack} is not available for ${drink.name}`;
+  if (!isTracked(packEntry)) return null;
+
+  if (packEntry.stock <= 0) return `${drink.name} (pack ${pack}) is out of stock`;
+  if (quantity > packEntry.stock) {
+    return `Only ${packEntry.stock} of ${drink.name} (pack ${pack}) left in stock`;
+  }
+  return null;
+}
+
+/**
+ * ✅ Recompute and persist a drink's status after a stock change
+ */
+export async function refreshDrinkStatus(drinkOrId) {
+  const drink =
+    drinkOrId instanceof Drink ? drinkOrId : await Drink.findById(drinkOrId);
+  if (!drink) return null;
+
+  const nextStatus = computeStockStatus(drink);
+  if (nextStatus !== drink.status) {
+    drink.status = nextStatus;
+    await drink.save();
+  }
+  return drink;
+}
+
+/**
+ * ✅ Atomically take a quantity off one pack
+ * - Returns false when stock is tracked and there is not enough left
+ * - Untracked packs always succeed without changing anything
+ */
+export async function takeStock(drinkId, pack, quantity) {
+  const updated = await Drink.findOneAndUpdate(
+    {
+      _id: drinkId,
+      packs: { $elemMatch: { pack: Number(pack), stock: { $gte: quantity } } },
+    },
+    { $inc: { "packs.$.stock": -quantity } },
+    { new: true }
+  );
+  if (updated) return true;
+
+  const drink = await Drink.findById(drinkId);
+  const packEntry = findPack(drink, pack);
+  return Boolean(packEntry) && !isTracked(packEntry);
+}
+
+/**
+ * ✅ Take sold quantities off pack stock
+ * - Atomic per pack; never drives stock below zero
+ * - Returns the lines that could not be fully covered (oversold)
+ */
+export async function decrementStock(items = []) {
+  const oversold = [];
+  const touched = new Set();
+
+  for (const item of items) {
+    const pack = Number(item.pack);
+    const quantity = Number(item.quantity);
+    if (!item.drinkId || isNaN(pack) || !(quantity > 0)) continue;
+
+    touched.add(String(item.drinkId));
+    if (await takeStock(item.drinkId, pack, quantity)) continue;
+
+    // Not enough left (or the pack is gone): clamp what remains to zero
+    const drink = await Drink.findById(item.drinkId);
+    const packEntry = findPack(drink, pack);
+    oversold.push({
+      drinkId: item.drinkId,
+      pack,
+      requested: quantity,
+      available: packEntry?.stock ?? 0,
+    });
+    if (packEntry) {
+      await Drink.updateOne(
+        { _id: item.drinkId, "packs.pack": pack },
+        { $set: { "packs.$.stock": 0 } }
+      );
+    }
+  }
+
+  await Promise.all([...touched].map((id) => refreshDrinkStatus(id)));
+  return oversold;
+}
+
+/**
+ * ✅ Put quantities back on pack stock (e.g. cancelled orders)
+ */
+export async function restoreStock(items = []) {
+  const touched = new Set();
+
+  for (const item of items) {
+    const pack = Number(item.pack);
+    const quantity = Number(item.quantity);
+    if (!item.drinkId || isNaN(pack) || !(quantity > 0)) continue;
+
+    const result = await Drink.updateOne(
+      {
+        _id: item.drinkId,
+        packs: { $elemMatch: { pack, stock: { $ne: null } } },
+      },
+      { $inc: { "packs.$.stock": quantity } }
+    );
+    if (result.modifiedCount) touched.add(String(item.drinkId));
+  }
+
+  await Promise.all([...touched].map((id) => refreshDrinkStatus(id)));
+}
@@ -0,0 +1,105 @@
+// src/utils/loginProtection.js
+import LoginAttempt from "../models/loginAttempt.js";
+
+/*
+ * Lockout is keyed on the email that was typed, not on the account, so an
+ * unknown email locks exactly like a real one and the response never tells
+ * an attacker which addresses are registered.
+ */
+
+const logSecurityEvent = (event, data) => {
+  console.log(`[SECURITY ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Failures older than this no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ✅ Lockout settings
+ * - LOGIN_MAX_FAILURES (default 5) failures before the first lockout
+ * - LOGIN_LOCKOUT_BASE_SECONDS (default 60), doubled on every further failure
+ * - LOGIN_LOCKOUT_MAX_MINUTES (default 60) caps a single lockout
+ */
+export function getLockoutSettings() {
+  const read = (value, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  return {
+    maxFailures: read(process.env.LOGIN_MAX_FAILURES, 5),
+    baseMs: read(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 60) * 1000,
+    maxMs: read(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 60) * 60 * 1000,
+  };
+}
+
+/**
+ * ✅ How long an email is locked after `failures` consecutive failures
+ */
+export function getBackoffMs(failures) {
+  const { maxFailures, baseMs, maxMs } = getLockoutSettings();
+  if (failures < maxFailures) return 0;
+  return Math.min(maxMs, baseMs * 2 ** (failures - maxFailures));
+}
+
+const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+/**
+ * ✅ Is this email locked out right now?
+ * - Counts failures since the last success (or admin unlock) in the past day
+ * - Resolves to { locked, retryAfterMs, failures }
+ */
+export async function getLockout(email) {
+  const since = new Date(Date.now() - FAILURE_WINDOW_MS);
+  const normalized = normalizeEmail(email);
+
+  const lastReset = await LoginAttempt.findOne({
+    email: normalized,
+    outcome: { $in: ["success", "unlocked"] },
+    createdAt: { $gte: since },
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  const from = lastReset ? lastReset.createdAt : since;
+  const failureFilter = { email: normalized, outcome: "invalid_credentials", createdAt: { $gt: from } };
+
+  const failures = await LoginAttempt.countDocuments(failureFilter);
+  const backoffMs = getBackoffMs(failures);
+  if (!backoffMs) return { locked: false, retryAfterMs: 0, failures };
+
+  const lastFailure = await LoginAttempt.findOne(failureFilter)
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+  const retryAfterMs = lastFailure.createdAt.getTime() + backoffMs - Date.now();
+
+  return { locked: retryAfterMs > 0, retryAfterMs: Math.max(0, retryAfterMs), failures };
+}
+
+/**
+ * ✅ Record a login attempt
+ */
+export async function recordLoginAttempt({ email, userId = null, outcome, req = null, unlockedBy = null }) {
+  const attempt = await LoginAttempt.create({
+    email: normalizeEmail(email),
+    userId,
+    outcome,
+    ip: req?.ip || "",
+    userAgent: req?.get?.("user-agent") || "",
+    unlockedBy,
+  });
+
+  if (outcome !== "success") {
+    logSecurityEvent(`LOGIN_${outcome.toUpperCase()}`, {
+      email: attempt.email,
+      userId,
+      ip: attempt.ip,
+    });
+  }
+
+  return attempt;
+}
@@ -0,0 +1,45 @@
+// src/utils/migrations.js
+import Cart from "../models/cart.js";
+
+/*
+ * One-off schema fixes for databases created by older versions. Each step is
+ * idempotent and runs on every start, after MongoDB connects.
+ */
+
+const logMigrationEvent = (event, data) => {
+  console.log(`[MIGRATION ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Carts used to be unique on { userId, drinkId, pack } for every line; with
+// guest carts (userId: null) that index makes the second guest's add fail
+const LEGACY_CART_INDEX = "userId_1_drinkId_1_pack_1";
+
+const dropLegacyCartIndex = async () => {
+  const indexes = await Cart.collection.indexes().catch((error) => {
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  });
+  if (!indexes.some((index) => index.name === LEGACY_CART_INDEX)) return;
+
+  await Cart.collection.dropIndex(LEGACY_CART_INDEX);
+  logMigrationEvent("INDEX_DROPPED", { collection: "carts", index: LEGACY_CART_INDEX });
+
+  // Build the partial user/guest indexes that replace it
+  await Cart.syncIndexes();
+};
+
+/**
+ * ✅ Bring an existing database up to date
+ * - Failures are logged, never fatal: the server keeps running on the old schema
+ */
+export async function runMigrations() {
+  try {
+    await dropLegacyCartIndex();
+  } catch (error) {
+    console.error("Migration failed:", error);
+    logMigrationEvent("FAILED", { error: error.message });
+  }
+}
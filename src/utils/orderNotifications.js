@@ -0,0 +1,72 @@
+// src/utils/orderNotifications.js
+import { sendEmail } from "./Email.js";
+
+// Statuses the customer is emailed about
+export const EMAIL_STATUSES = ["shipped", "delivered", "completed"];
+
+const STATUS_MESSAGES = {
+  shipped: "Your order has been shipped and is on its way! 📦",
+  delivered: "Your order has been delivered. We hope you enjoy it! 🎉",
+  completed: "Your order is complete. Thank you for shopping with us! ✅",
+};
+
+const logOrderEvent = (event, data) => {
+  console.log(`[ORDER ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ Tell the customer their order moved to a new status
+ * - Only for EMAIL_STATUSES; never throws (failures are logged)
+ * - `rider` ({ username, phone }) adds who is bringing the order
+ */
+export async function sendOrderStatusEmail(order, orderStatus, { rider = null } = {}) {
+  if (!EMAIL_STATUSES.includes(orderStatus) || !order.customer?.email) return;
+
+  try {
+    await sendEmail({
+      to: order.customer.email,
+      subject: `Order Update - ${order.orderNumber || order._id}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: #0f5132; color: #fff; padding: 20px; border-radius: 8px 8px 0 0;">
+            <h2 style="margin: 0;">Order Status Update</h2>
+          </div>
+          <div style="padding: 20px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;">
+            <p>Hi ${order.customer.fullName},</p>
+            <p>${STATUS_MESSAGES[orderStatus] || `Your order status has been updated to: <strong>${orderStatus}</strong>`}</p>
+
+            <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+              <p style="margin: 5px 0;"><strong>Order Number:</strong> ${order.orderNumber || order._id}</p>
+              <p style="margin: 5px 0;"><strong>Status:</strong> <span style="color: #0f5132; font-weight: bold;">${orderStatus.toUpperCase()}</span></p>
+              <p style="margin: 5px 0;"><strong>Total:</strong> ₵${order.totalAmount.toFixed(2)}</p>
+              ${rider && orderStatus === "shipped" ? `<p style="margin: 5px 0;"><strong>Rider:</strong> ${rider.fullName || rider.username}${rider.phone ? ` (${rider.phone})` : ""}</p>` : ""}
+            </div>
+
+            ${orderStatus === "delivered" ? `
+              <p>If you have any issues with your order, please contact us immediately.</p>
+            ` : ""}
+
+            <p style="margin-top: 20px; color: #666; font-size: 14px;">
+              Thank you for choosing us!
+            </p>
+          </div>
+        </div>
+      `,
+    });
+
+    logOrderEvent("STATUS_EMAIL_SENT", {
+      orderId: order._id,
+      email: order.customer.email,
+      status: orderStatus,
+    });
+  } catch (emailError) {
+    console.error("Failed to send status update email:", emailError);
+    logOrderEvent("STATUS_EMAIL_FAILED", {
+      orderId: order._id,
+      error: emailError.message,
+    });
+  }
+}
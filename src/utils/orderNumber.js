@@ -1,7 +1,12 @@
 // src/utils/orderNumber.js
 import Counter from "../models/counter.js";
 
-export async function generateOrderNumber(OrderModel) {
+/**
+ * ✅ Next human-friendly order number
+ * - Sequential and zero-padded ("000042"); customers quote it and track with it
+ * - Atomic, so concurrent checkouts never share a number
+ */
+export async function generateOrderNumber() {
   const counter = await Counter.findOneAndUpdate(
     { _id: "orderNumber" },
     { $inc: { seq: 1 } },
@@ -9,4 +14,4 @@ export async function generateOrderNumber(OrderModel) {
   );
 
   return String(counter.seq).padStart(6, "0"); // e.g. "000001"
-}
\ No newline at end of file
+}
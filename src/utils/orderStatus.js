@@ -0,0 +1,69 @@
+// src/utils/orderStatus.js
+
+/**
+ * ✅ Every order status, in lifecycle order
+ * - Shared by models/order.js and the controllers
+ */
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "shipped",
+  "delivered",
+  "completed",
+  "cancelled",
+];
+
+/**
+ * ✅ Allowed transitions: current status → statuses it may move to
+ */
+export const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["processing", "cancelled"],
+  processing: ["shipped", "delivered", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["completed"],
+  completed: [],
+  cancelled: [],
+};
+
+/**
+ * ✅ Can an order move from one status to another?
+ */
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * ✅ Statuses an order may move to next
+ */
+export function nextStatuses(from) {
+  return ORDER_TRANSITIONS[from] || [];
+}
+
+/**
+ * ✅ Build a statusHistory entry
+ * - `by` is the user making the change (null for system changes)
+ * - `source` says where it came from: "admin", "customer", "system", ...
+ */
+export function statusEntry({ status, from = null, by = null, source = "system", note = "" }) {
+  return {
+    status,
+    from,
+    changedBy: by?._id || by?.id || by || null,
+    source,
+    note: note ? String(note).trim() : "",
+    changedAt: new Date(),
+  };
+}
+
+/**
+ * ✅ Move an order document to a new status and record it in its history
+ * - Does not save; callers check canTransition() first
+ */
+export function recordStatusChange(order, status, options = {}) {
+  const from = order.orderStatus || null;
+  order.orderStatus = status;
+  order.statusHistory.push(statusEntry({ ...options, status, from }));
+  return order;
+}
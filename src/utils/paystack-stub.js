@@ -0,0 +1,218 @@
+// src/utils/paystack-stub.js
+//
+// Local stand-in for the parts of the Paystack API this backend uses, so
+// checkout, verification and refunds can be exercised offline.
+//
+//   PAYSTACK_SECRET_KEY=sk_test_local node src/utils/paystack-stub.js
+//
+// Then run the backend with:
+//   PAYSTACK_BASE_URL=http://localhost:4010  PAYSTACK_SECRET_KEY=sk_test_local
+//
+// Opening an authorization_url "pays" the transaction and sends a signed
+// charge.success webhook (add ?fail=1 to send charge.failed instead).
+// Refunds are answered with "pending" and settled by a refund.processed
+// webhook after STUB_REFUND_DELAY_MS (set STUB_REFUND_OUTCOME=failed to
+// send refund.failed).
+// Mobile Money charges answer "send_otp" for Telecel ("vod") and
+// "pay_offline" otherwise; the same /checkout/:reference link settles them.
+import express from "express";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const PORT = Number(process.env.STUB_PORT || 4010);
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY || "sk_test_local";
+const WEBHOOK_URL =
+  process.env.STUB_WEBHOOK_URL || "http://localhost:5000/api/payments/webhook";
+const REFUND_DELAY_MS = Number(process.env.STUB_REFUND_DELAY_MS || 2000);
+const REFUND_OUTCOME = process.env.STUB_REFUND_OUTCOME || "processed";
+
+const transactions = new Map(); // reference → transaction
+const refunds = new Map(); // id → refund
+let nextId = 1000;
+
+const app = express();
+app.use(express.json());
+
+const ok = (res, data, message = "OK") => res.json({ status: true, message, data });
+const fail = (res, code, message) => res.status(code).json({ status: false, message });
+
+// Sign and deliver a webhook the same way Paystack does
+const sendWebhook = async (event, data) => {
+  const body = JSON.stringify({ event, data });
+  const signature = crypto.createHmac("sha512", SECRET_KEY).update(body).digest("hex");
+
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "x-paystack-signature": signature },
+      body,
+    });
+    console.log(`📤 ${event} → ${response.status}`);
+  } catch (err) {
+    console.error(`❌ Failed to deliver ${event}:`, err.message);
+  }
+};
+
+// Secret key check (skipped for the browser-facing checkout page)
+app.use((req, res, next) => {
+  if (req.path.startsWith("/checkout/")) return next();
+  if (req.headers.authorization !== `Bearer ${SECRET_KEY}`) {
+    return fail(res, 401, "Invalid key");
+  }
+  next();
+});
+
+app.post("/transaction/initialize", (req, res) => {
+  const { email, amount, currency = "GHS", metadata = {} } = req.body;
+  if (!email || !(Number(amount) > 0)) return fail(res, 400, "Email and amount are required");
+
+  const reference = req.body.reference || `STUB_${Date.now()}`;
+  if (transactions.has(reference)) return fail(res, 400, "Duplicate Transaction Reference");
+
+  const transaction = {
+    id: nextId++,
+    reference,
+    amount: Number(amount),
+    currency,
+    status: "abandoned",
+    customer: { email },
+    metadata,
+    created_at: new Date().toISOString(),
+    paid_at: null,
+  };
+  transactions.set(reference, transaction);
+
+  ok(res, {
+    authorization_url: `http://localhost:${PORT}/checkout/${reference}`,
+    access_code: crypto.randomBytes(8).toString("hex"),
+    reference,
+  }, "Authorization URL created");
+});
+
+// Simulates the customer completing (or failing) payment
+app.get("/checkout/:reference", async (req, res) => {
+  const transaction = transactions.get(req.params.reference);
+  if (!transaction) return res.status(404).send("Unknown transaction");
+
+  const failed = req.query.fail === "1";
+  transaction.status = failed ? "failed" : "success";
+  transaction.paid_at = failed ? null : new Date().toISOString();
+
+  await sendWebhook(failed ? "charge.failed" : "charge.success", transaction);
+  res.send(`Transaction ${transaction.reference}: ${transaction.status}`);
+});
+
+app.post("/charge", (req, res) => {
+  const { email, amount, currency = "GHS", mobile_money: mobileMoney, metadata = {} } = req.body;
+  if (!email || !(Number(amount) > 0)) return fail(res, 400, "Email and amount are required");
+  if (!mobileMoney?.phone || !mobileMoney?.provider) return fail(res, 400, "Mobile money details are required");
+
+  const reference = req.body.reference || `STUB_${Date.now()}`;
+  if (transactions.has(reference)) return fail(res, 400, "Duplicate Transaction Reference");
+
+  const needsOtp = mobileMoney.provider === "vod";
+  transactions.set(reference, {
+    id: nextId++,
+    reference,
+    amount: Number(amount),
+    currency,
+    channel: "mobile_money",
+    status: needsOtp ? "send_otp" : "pay_offline",
+    customer: { email },
+    metadata,
+    created_at: new Date().toISOString(),
+    paid_at: null,
+  });
+
+  ok(res, {
+    reference,
+    status: needsOtp ? "send_otp" : "pay_offline",
+    display_text: needsOtp
+      ? "Please enter the OTP sent to your phone"
+      : `Approve the prompt on your phone, or open http://localhost:${PORT}/checkout/${reference}`,
+  }, "Charge attempted");
+});
+
+app.post("/charge/submit_otp", (req, res) => {
+  const transaction = transactions.get(req.body.reference);
+  if (!transaction) return fail(res, 404, "Transaction reference not found");
+  if (!req.body.otp) return fail(res, 400, "OTP is required");
+
+  transaction.status = "pay_offline";
+  ok(res, {
+    reference: transaction.reference,
+    status: "pay_offline",
+    display_text: `Approve the prompt on your phone, or open http://localhost:${PORT}/checkout/${transaction.reference}`,
+  }, "Charge attempted");
+});
+
+app.get("/transaction/verify/:reference", (req, res) => {
+  const transaction = transactions.get(req.params.reference);
+  if (!transaction) return fail(res, 404, "Transaction reference not found");
+  ok(res, transaction, "Verification successful");
+});
+
+app.get("/transaction", (req, res) => {
+  const { from, to, status } = req.query;
+  const perPage = Number(req.query.perPage || 50);
+  const page = Number(req.query.page || 1);
+
+  const list = [...transactions.values()]
+    .filter((t) => !status || t.status === status)
+    .filter((t) => !from || new Date(t.created_at) >= new Date(from))
+    .filter((t) => !to || new Date(t.created_at) <= new Date(to))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  res.json({
+    status: true,
+    message: "Transactions retrieved",
+    data: list.slice((page - 1) * perPage, page * perPage),
+    meta: { total: list.length, perPage, page, pageCount: Math.ceil(list.length / perPage) },
+  });
+});
+
+app.get("/refund", (req, res) => {
+  const list = [...refunds.values()].filter(
+    (r) => !req.query.reference || r.transaction_reference === req.query.reference
+  );
+  ok(res, list, "Refunds retrieved");
+});
+
+app.post("/refund", (req, res) => {
+  const transaction = transactions.get(req.body.transaction);
+  if (!transaction) return fail(res, 404, "Transaction not found");
+  if (transaction.status !== "success") return fail(res, 400, "Transaction has not been paid");
+
+  const refunded = [...refunds.values()]
+    .filter((r) => r.transaction_reference === transaction.reference && r.status !== "failed")
+    .reduce((sum, r) => sum + r.amount, 0);
+  const amount = Number(req.body.amount || transaction.amount - refunded);
+  if (amount <= 0 || refunded + amount > transaction.amount) {
+    return fail(res, 400, "Refund amount cannot be greater than transaction amount");
+  }
+
+  const refund = {
+    id: nextId++,
+    transaction_reference: transaction.reference,
+    amount,
+    currency: transaction.currency,
+    status: "pending",
+    merchant_note: req.body.merchant_note || "",
+    customer_note: req.body.customer_note || "",
+  };
+  refunds.set(refund.id, refund);
+
+  setTimeout(() => {
+    refund.status = REFUND_OUTCOME === "failed" ? "failed" : "processed";
+    sendWebhook(`refund.${refund.status}`, refund);
+  }, REFUND_DELAY_MS);
+
+  ok(res, { ...refund, transaction: { id: transaction.id, reference: transaction.reference } }, "Refund has been queued for processing");
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 Paystack stub running on http://localhost:${PORT}`);
+  console.log(`🔗 Webhooks go to ${WEBHOOK_URL}`);
+});
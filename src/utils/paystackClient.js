@@ -0,0 +1,114 @@
+// src/utils/paystackClient.js
+import axios from "axios";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * ✅ Paystack REST client
+ * - PAYSTACK_BASE_URL lets local runs point at utils/paystack-stub.js
+ * - Every helper resolves to Paystack's `data` payload and throws on HTTP errors
+ */
+const paystack = axios.create({
+  baseURL: process.env.PAYSTACK_BASE_URL || "https://api.paystack.co",
+  timeout: 15000,
+  headers: { "Content-Type": "application/json" },
+});
+
+// Read the key per request so tests and scripts can set it after import
+paystack.interceptors.request.use((config) => {
+  config.headers.Authorization = `Bearer ${process.env.PAYSTACK_SECRET_KEY}`;
+  return config;
+});
+
+/**
+ * ✅ Start a transaction (amount in pesewas)
+ */
+export async function initializeTransaction(payload) {
+  const response = await paystack.post("/transaction/initialize", payload);
+  return response.data.data;
+}
+
+/**
+ * ✅ Look up a transaction by reference
+ */
+export async function verifyTransaction(reference) {
+  const response = await paystack.get(
+    `/transaction/verify/${encodeURIComponent(reference)}`
+  );
+  return response.data.data;
+}
+
+/**
+ * ✅ List transactions (one page)
+ * - Resolves to { data, meta } so callers can page through results
+ */
+export async function listTransactions({ from, to, status, page = 1, perPage = 100 } = {}) {
+  const response = await paystack.get("/transaction", {
+    params: {
+      ...(from ? { from: new Date(from).toISOString() } : {}),
+      ...(to ? { to: new Date(to).toISOString() } : {}),
+      ...(status ? { status } : {}),
+      page,
+      perPage,
+    },
+  });
+  return { data: response.data.data || [], meta: response.data.meta || {} };
+}
+
+/**
+ * ✅ Charge a Ghana Mobile Money wallet directly (amount in pesewas)
+ * - `provider` is Paystack's code: "mtn", "vod" (Telecel) or "atl" (AirtelTigo)
+ * - Resolves with status "pay_offline" (prompt sent to phone) or "send_otp"
+ */
+export async function chargeMobileMoney({ email, amount, reference, phone, provider, metadata }) {
+  const response = await paystack.post("/charge", {
+    email,
+    amount,
+    currency: "GHS",
+    reference,
+    mobile_money: { phone, provider },
+    ...(metadata ? { metadata } : {}),
+  });
+  return response.data.data;
+}
+
+/**
+ * ✅ Submit the OTP some Mobile Money networks ask for
+ */
+export async function submitChargeOtp({ reference, otp }) {
+  const response = await paystack.post("/charge/submit_otp", { reference, otp });
+  return response.data.data;
+}
+
+/**
+ * ✅ Refund a transaction, fully or partially (amount in pesewas)
+ */
+export async function createRefund({ reference, amount, merchantNote, customerNote }) {
+  const response = await paystack.post("/refund", {
+    transaction: reference,
+    ...(amount ? { amount } : {}),
+    ...(merchantNote ? { merchant_note: merchantNote } : {}),
+    ...(customerNote ? { customer_note: customerNote } : {}),
+  });
+  return response.data.data;
+}
+
+/**
+ * ✅ Refunds already made against a transaction
+ * - Used before re-sending a refund whose earlier request may have gone through
+ */
+export async function listRefunds({ reference }) {
+  const response = await paystack.get("/refund", { params: { reference } });
+  return response.data.data || [];
+}
+
+/**
+ * ✅ Is this a network/5xx failure worth retrying later?
+ */
+export function isRetryableError(error) {
+  if (!error.response) return true;
+  return error.response.status >= 500 || error.response.status === 429;
+}
+
+export default paystack;
@@ -0,0 +1,237 @@
+// src/utils/paystackEvents.js
+import Order from "../models/order.js";
+import { sendEmail } from "./Email.js";
+import { fulfillOrder, PAYABLE_STATUSES } from "./fulfillment.js";
+import { applyRefundEvent, derivePaymentStatus } from "./refunds.js";
+
+/*
+ * Handlers for verified Paystack webhook events. Each resolves to
+ * { status, message } so the webhook can answer Paystack with a 200 for every
+ * handled outcome; only thrown errors should make Paystack retry.
+ */
+
+const logPaystackEvent = (event, data) => {
+  console.log(`[PAYSTACK ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Paystack puts the transaction reference in different places per event family
+const getTransactionReference = (data = {}) =>
+  data.transaction?.reference || data.transaction_reference || data.reference || null;
+
+const findOrderByReference = (reference) =>
+  reference ? Order.findOne({ paystackReference: reference }) : null;
+
+const pushPaymentEvent = (order, event, note = "") => {
+  order.paymentEvents.push({ event, note, receivedAt: new Date() });
+};
+
+const alertAdmin = async (subject, html) => {
+  if (!process.env.ADMIN_EMAIL) return;
+
+  try {
+    await sendEmail({ to: process.env.ADMIN_EMAIL, subject, html });
+  } catch (err) {
+    console.error("Failed to send admin alert:", err);
+  }
+};
+
+/* ==================== CHARGES ==================== */
+
+const handleChargeSuccess = async (event, data) => {
+  const { status } = await fulfillOrder({
+    reference: data.reference,
+    amountPaid: data.amount,
+    source: "webhook",
+  });
+
+  const messages = {
+    paid: "Webhook processed successfully",
+    not_found: "Unknown reference",
+    duplicate: "Order already processed",
+    paid_after_cancel: "Order was cancelled; payment flagged for refund",
+    amount_mismatch: "Amount mismatch flagged for review",
+  };
+  return { status, message: messages[status] };
+};
+
+const handleChargeFailed = async (event, data) => {
+  const order = await findOrderByReference(data.reference);
+  if (!order) return { status: "not_found", message: "Unknown reference" };
+
+  if (!PAYABLE_STATUSES.includes(order.paymentStatus)) {
+    return { status: "ignored", message: "Order already settled" };
+  }
+
+  const reason = data.gateway_response || data.message || "Charge failed";
+  order.paymentStatus = "failed";
+  order.paymentFailure = { reason, failedAt: new Date() };
+  pushPaymentEvent(order, event, reason);
+  await order.save();
+
+  logPaystackEvent("CHARGE_FAILED", { orderId: order._id, reference: data.reference, reason });
+  return { status: "processed", message: "Payment failure recorded" };
+};
+
+/* ==================== REFUNDS ==================== */
+
+const handleRefund = async (event, data) => {
+  const { status, order } = await applyRefundEvent(event, data);
+  if (order) {
+    pushPaymentEvent(order, event, data.status || "");
+    await order.save();
+  }
+  return {
+    status: status === "updated" ? "processed" : status,
+    message: status === "updated" ? "Refund updated" : "Refund not matched",
+  };
+};
+
+/* ==================== DISPUTES ==================== */
+
+const handleDisputeCreate = async (event, data) => {
+  const reference = getTransactionReference(data);
+  const order = await findOrderByReference(reference);
+  if (!order) return { status: "not_found", message: "Unknown reference" };
+
+  order.dispute = {
+    paystackDisputeId: data.id != null ? String(data.id) : null,
+    status: "open",
+    category: data.category || "",
+    reason: data.message || data.reason || "",
+    amount: data.refund_amount != null ? Number(data.refund_amount) / 100 : order.amountPaid,
+    dueAt: data.due_at ? new Date(data.due_at) : null,
+    openedAt: new Date(),
+  };
+  order.paymentStatus = derivePaymentStatus(order);
+  pushPaymentEvent(order, event, order.dispute.reason);
+  await order.save();
+
+  logPaystackEvent("DISPUTE_OPENED", { orderId: order._id, reference });
+
+  await alertAdmin(
+    `🚨 Payment Dispute Opened - ${reference}`,
+    `
+      <h2>⚠️ A customer has disputed a payment</h2>
+      <p><strong>Order ID:</strong> ${order._id}</p>
+      <p><strong>Reference:</strong> ${reference}</p>
+      <p><strong>Customer:</strong> ${order.customer?.fullName} (${order.customer?.email})</p>
+      <p><strong>Order Total:</strong> ₵${order.totalAmount.toFixed(2)}</p>
+      <p><strong>Disputed Amount:</strong> ₵${(order.dispute.amount ?? order.totalAmount).toFixed(2)}</p>
+      <p><strong>Category:</strong> ${order.dispute.category || "-"}</p>
+      <p><strong>Reason:</strong> ${order.dispute.reason || "-"}</p>
+      ${order.dispute.dueAt ? `<p><strong>Respond by:</strong> ${order.dispute.dueAt.toISOString()}</p>` : ""}
+      <p style="color: red;"><strong>Action Required:</strong> Respond to the dispute on the Paystack dashboard.</p>
+    `
+  );
+
+  return { status: "processed", message: "Dispute recorded" };
+};
+
+const handleDisputeResolve = async (event, data) => {
+  const reference = getTransactionReference(data);
+  const order = await findOrderByReference(reference);
+  if (!order) return { status: "not_found", message: "Unknown reference" };
+
+  const resolution = data.resolution || "";
+  if (!order.dispute) {
+    order.dispute = { paystackDisputeId: data.id != null ? String(data.id) : null };
+  }
+  order.dispute.status = "resolved";
+  order.dispute.resolution = resolution;
+  order.dispute.resolvedAt = new Date();
+
+  // Accepting the dispute returns the money to the customer
+  order.paymentStatus =
+    resolution === "merchant-accepted" ? "refunded" : derivePaymentStatus(order);
+  pushPaymentEvent(order, event, resolution);
+  await order.save();
+
+  logPaystackEvent("DISPUTE_RESOLVED", { orderId: order._id, reference, resolution });
+  return { status: "processed", message: "Dispute resolved" };
+};
+
+const handleDisputeRemind = async (event, data) => {
+  const reference = getTransactionReference(data);
+  const order = await findOrderByReference(reference);
+  if (!order) return { status: "not_found", message: "Unknown reference" };
+
+  pushPaymentEvent(order, event);
+  await order.save();
+  return { status: "processed", message: "Dispute reminder recorded" };
+};
+
+/* ==================== TRANSFERS ==================== */
+
+// Transfers are payouts we start with the order reference or orderId in metadata
+const handleTransfer = async (event, data) => {
+  const orderId = data.metadata?.orderId || data.recipient?.metadata?.orderId;
+  const order =
+    (await findOrderByReference(data.reference)) ||
+    (orderId ? await Order.findById(orderId).catch(() => null) : null);
+
+  if (!order) {
+    logPaystackEvent("TRANSFER_UNMATCHED", { event, reference: data.reference });
+    return { status: "not_found", message: "Transfer not linked to an order" };
+  }
+
+  const amount = data.amount != null ? Number(data.amount) / 100 : null;
+  pushPaymentEvent(
+    order,
+    event,
+    [data.status, amount !== null ? `₵${amount.toFixed(2)}` : "", data.reason]
+      .filter(Boolean)
+      .join(" · ")
+  );
+  await order.save();
+
+  if (event !== "transfer.success") {
+    await alertAdmin(
+      `🚨 Transfer ${event.split(".")[1]} - ${data.reference}`,
+      `
+        <h2>⚠️ Paystack transfer ${event.split(".")[1]}</h2>
+        <p><strong>Order ID:</strong> ${order._id}</p>
+        <p><strong>Transfer Reference:</strong> ${data.reference}</p>
+        ${amount !== null ? `<p><strong>Amount:</strong> ₵${amount.toFixed(2)}</p>` : ""}
+        <p><strong>Reason:</strong> ${data.reason || data.gateway_response || "-"}</p>
+      `
+    );
+  }
+
+  return { status: "processed", message: "Transfer recorded" };
+};
+
+/* ==================== DISPATCH ==================== */
+
+const HANDLERS = {
+  "charge.success": handleChargeSuccess,
+  "charge.failed": handleChargeFailed,
+  "refund.pending": handleRefund,
+  "refund.processing": handleRefund,
+  "refund.processed": handleRefund,
+  "refund.failed": handleRefund,
+  "charge.dispute.create": handleDisputeCreate,
+  "charge.dispute.remind": handleDisputeRemind,
+  "charge.dispute.resolve": handleDisputeResolve,
+  "transfer.success": handleTransfer,
+  "transfer.failed": handleTransfer,
+  "transfer.reversed": handleTransfer,
+};
+
+/**
+ * ✅ Route a verified Paystack event to its handler
+ * - Unknown events resolve to { status: "ignored" }
+ */
+export async function handlePaystackEvent(event, data = {}) {
+  const handler = HANDLERS[event];
+  if (!handler) {
+    logPaystackEvent("IGNORED", { event });
+    return { status: "ignored", message: "Event ignored" };
+  }
+
+  const result = await handler(event, data);
+  logPaystackEvent("HANDLED", { event, reference: getTransactionReference(data), status: result.status });
+  return result;
+}
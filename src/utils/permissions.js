@@ -0,0 +1,81 @@
+// src/utils/permissions.js
+
+/*
+ * Roles and what they may do. Routes ask for a permission, never a role, so
+ * changing what a role can do only means editing ROLE_PERMISSIONS.
+ */
+
+export const ROLES = ["customer", "owner", "manager", "staff", "rider", "vendor"];
+
+// Roles managed through the admin users API (everyone except customers)
+export const STAFF_ROLES = ["owner", "manager", "staff", "rider", "vendor"];
+
+export const PERMISSIONS = [
+  "orders:read", // all orders and order stats
+  "orders:update_status",
+  "orders:cancel_any",
+  "orders:refund",
+  "orders:mark_paid",
+  "deliveries:assign", // give orders to riders
+  "deliveries:perform", // rider app: own deliveries, pickup, delivered
+  "drinks:write",
+  "drinks:read_hidden",
+  "payments:webhooks",
+  "payments:reconcile",
+  "promotions:manage",
+  "delivery:manage",
+  "users:read",
+  "users:manage",
+];
+
+// Only riders carry out deliveries
+const ADMIN_PERMISSIONS = PERMISSIONS.filter((p) => p !== "deliveries:perform");
+
+export const ROLE_PERMISSIONS = {
+  customer: [],
+  owner: ADMIN_PERMISSIONS,
+  manager: ADMIN_PERMISSIONS,
+  staff: [
+    "orders:read",
+    "orders:update_status",
+    "orders:cancel_any",
+    "orders:mark_paid",
+    "deliveries:assign",
+    "drinks:write",
+    "drinks:read_hidden",
+  ],
+  rider: ["deliveries:perform"],
+  vendor: ["drinks:write", "drinks:read_hidden"],
+};
+
+/**
+ * ✅ Permissions granted to a role
+ */
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * ✅ Does this user hold the permission?
+ */
+export function hasPermission(user, permission) {
+  return getPermissions(user?.role).includes(permission);
+}
+
+/**
+ * ✅ Is this user back-office staff rather than a customer?
+ */
+export function isStaff(user) {
+  return STAFF_ROLES.includes(user?.role);
+}
+
+/**
+ * ✅ May `actor` give `targetRole` to (or take `currentRole` from) someone?
+ * - Only owners hand out or take away the owner role
+ * - Managers manage staff, riders, vendors and customers
+ */
+export function canAssignRole(actor, currentRole, targetRole) {
+  if (!hasPermission(actor, "users:manage")) return false;
+  if (actor.role === "owner") return true;
+  return ![currentRole, targetRole].some((role) => ["owner", "manager"].includes(role));
+}
@@ -0,0 +1,135 @@
+// src/utils/pricing.js
+import { findPack, isTracked } from "./inventory.js";
+
+// Line issues that keep a line out of the order; "price_changed" is only a warning,
+// cleared by POST /api/cart/accept-prices
+const BLOCKING_ISSUES = ["unavailable", "pack_removed", "out_of_stock", "insufficient_stock"];
+
+// Money in GHS, rounded to pesewas
+export const roundMoney = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const issue = (code, message, extra = {}) => ({ code, message, ...extra });
+
+// Everything wrong with one cart line (drinkId populated, or null when deleted)
+const lineIssues = (item, quantity) => {
+  const drink = item.drinkId;
+  if (!drink) return [issue("unavailable", "This drink is no longer sold")];
+  if (drink.available === false || drink.status === "inactive") {
+    return [issue("unavailable", `${drink.name} is currently unavailable`)];
+  }
+
+  const packEntry = findPack(drink, item.pack);
+  if (!packEntry) {
+    return [issue("pack_removed", `Pack ${item.pack} is not available for ${drink.name}`)];
+  }
+
+  const issues = [];
+  if (isTracked(packEntry)) {
+    if (packEntry.stock <= 0) {
+      issues.push(issue("out_of_stock", `${drink.name} (pack ${item.pack}) is out of stock`));
+    } else if (quantity > packEntry.stock) {
+      issues.push(
+        issue("insufficient_stock", `Only ${packEntry.stock} of ${drink.name} (pack ${item.pack}) left in stock`, {
+          available: packEntry.stock,
+        })
+      );
+    }
+  }
+
+  if (item.addedPrice !== null && item.addedPrice !== undefined && item.addedPrice !== packEntry.price) {
+    issues.push(
+      issue("price_changed", `${drink.name} (pack ${item.pack}) now costs ${packEntry.price}`, {
+        previousPrice: item.addedPrice,
+        currentPrice: packEntry.price,
+      })
+    );
+  }
+  return issues;
+};
+
+/**
+ * ✅ Price cart lines from the database (NEVER trust frontend prices)
+ * - Expects cart items with `drinkId` populated; deleted drinks come through as null
+ * - Every line gets its current unit price, subtotal and any issues
+ * - Lines with blocking issues are left out of `items` and `subtotal`
+ * - Resolves to { lines, items, issues, subtotal, totalItems, canCheckout }
+ */
+export function priceCartItems(cartItems = []) {
+  const lines = [];
+  const items = [];
+  const issues = [];
+  let subtotal = 0;
+  let totalItems = 0;
+
+  for (const item of cartItems) {
+    const drink = item.drinkId;
+    const quantity = Math.max(1, Number(item.quantity || 1));
+    const price = findPack(drink, item.pack)?.price ?? 0;
+    const lineIssueList = lineIssues(item, quantity);
+    const purchasable = !lineIssueList.some((i) => BLOCKING_ISSUES.includes(i.code));
+    const image = drink?.imageUrl || drink?.image || "";
+
+    lines.push({
+      id: item._id,
+      drinkId: drink?._id || null,
+      name: drink?.name || "Unavailable item",
+      image,
+      pack: item.pack,
+      packs: drink?.packs || [],
+      quantity,
+      unitPrice: price,
+      subtotal: purchasable ? roundMoney(price * quantity) : 0,
+      purchasable,
+      issues: lineIssueList,
+    });
+    issues.push(...lineIssueList.map((i) => ({ lineId: item._id, ...i })));
+
+    if (!purchasable) continue;
+
+    subtotal += price * quantity;
+    totalItems += quantity;
+    items.push({
+      drinkId: drink._id,
+      name: drink.name,
+      price,
+      quantity,
+      pack: item.pack,
+      image,
+    });
+  }
+
+  return {
+    lines,
+    items,
+    issues,
+    subtotal: roundMoney(subtotal),
+    totalItems,
+    canCheckout: items.length > 0 && issues.every((i) => !BLOCKING_ISSUES.includes(i.code)),
+  };
+}
+
+/**
+ * ✅ Order totals from a priced cart
+ * - All amounts in GHS; discount comes off the items, deliveryDiscount off the delivery fee
+ * - Neither discount can go below zero for its part of the order
+ */
+export function summarizeTotals(priced, { deliveryFee = 0, discount = 0, deliveryDiscount = 0 } = {}) {
+  const fee = roundMoney(Math.max(0, deliveryFee));
+  const appliedDiscount = roundMoney(Math.min(Math.max(0, discount), priced.subtotal));
+  const appliedDeliveryDiscount = roundMoney(Math.min(Math.max(0, deliveryDiscount), fee));
+  return {
+    itemCount: priced.totalItems,
+    subtotal: priced.subtotal,
+    deliveryFee: fee,
+    discount: appliedDiscount,
+    deliveryDiscount: appliedDeliveryDiscount,
+    total: roundMoney(priced.subtotal - appliedDiscount + fee - appliedDeliveryDiscount),
+  };
+}
+
+/**
+ * ✅ Is this issue one that stops checkout?
+ */
+export function isBlockingIssue(issueItem) {
+  return BLOCKING_ISSUES.includes(issueItem?.code);
+}
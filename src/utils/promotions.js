@@ -0,0 +1,256 @@
+// src/utils/promotions.js
+import Promotion from "../models/promotion.js";
+import PromotionRedemption from "../models/promotionRedemption.js";
+import { roundMoney } from "./pricing.js";
+
+/*
+ * Promo codes at checkout. A code is checked against the priced cart, then
+ * one use is claimed for the checkout's payment reference. The use stays
+ * "pending" until the order is paid (or confirmed for cash on delivery) and
+ * is given back when the checkout is abandoned or the order cancelled, so
+ * usage limits only count real orders.
+ */
+
+const logPromotionEvent = (event, data) => {
+  console.log(`[PROMOTION ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Uses that count against limits
+const COUNTED_STATUSES = ["pending", "redeemed"];
+
+/**
+ * ✅ Codes are stored uppercase without spaces
+ */
+export function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// Priced cart items the promotion is limited to (every item when unscoped)
+const eligibleItems = (promotion, items) =>
+  items.filter(
+    (item) =>
+      (!promotion.drinkIds?.length || promotion.drinkIds.some((id) => String(id) === String(item.drinkId))) &&
+      (!promotion.packs?.length || promotion.packs.includes(Number(item.pack)))
+  );
+
+/**
+ * ✅ What a promotion takes off a priced cart
+ * - Resolves to { discount, deliveryDiscount } in GHS (items / delivery fee)
+ */
+export function calculatePromotionDiscount(promotion, priced, { deliveryFee = 0 } = {}) {
+  const items = eligibleItems(promotion, priced.items);
+  const eligibleSubtotal = items.reduce((sum, it) => sum + it.price * it.quantity, 0);
+
+  switch (promotion.type) {
+    case "percentage": {
+      const discount = (eligibleSubtotal * promotion.value) / 100;
+      const capped = promotion.maxDiscount !== null ? Math.min(discount, promotion.maxDiscount) : discount;
+      return { discount: roundMoney(capped), deliveryDiscount: 0 };
+    }
+    case "fixed_amount":
+      return { discount: roundMoney(Math.min(promotion.value, eligibleSubtotal)), deliveryDiscount: 0 };
+    case "free_delivery":
+      return { discount: 0, deliveryDiscount: roundMoney(deliveryFee) };
+    case "buy_x_get_y": {
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const discount = items.reduce(
+        (sum, it) => sum + Math.floor(it.quantity / groupSize) * promotion.getQuantity * it.price,
+        0
+      );
+      return { discount: roundMoney(discount), deliveryDiscount: 0 };
+    }
+    default:
+      return { discount: 0, deliveryDiscount: 0 };
+  }
+}
+
+/**
+ * ✅ Look up a code and check it against a priced cart
+ * - Checks the validity window, minimum order, usage limits and that it
+ *   actually takes something off this cart
+ * - `deliveryFee` lets free-delivery codes work out their value
+ * - Resolves to { promotion, discount, deliveryDiscount } or { error }
+ */
+export async function resolvePromotion(code, { priced, userId = null, email = "", deliveryFee = 0 } = {}) {
+  const normalized = normalizeCode(code);
+  const promotion = normalized ? await Promotion.findOne({ code: normalized, active: true }) : null;
+  if (!promotion) return { error: "Promo code not found" };
+
+  const now = new Date();
+  if (promotion.startsAt && promotion.startsAt > now) return { error: "This promo code is not active yet" };
+  if (promotion.endsAt && promotion.endsAt <= now) return { error: "This promo code has expired" };
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    return { error: "This promo code has been fully redeemed" };
+  }
+
+  if (priced.subtotal < promotion.minOrderAmount) {
+    return { error: `This promo code needs an order of at least ₵${promotion.minOrderAmount.toFixed(2)}` };
+  }
+
+  if (promotion.perUserLimit !== null && (userId || email)) {
+    const used = await countCustomerUses(promotion._id, { userId, email });
+    if (used >= promotion.perUserLimit) {
+      return { error: "You have already used this promo code" };
+    }
+  }
+
+  const { discount, deliveryDiscount } = calculatePromotionDiscount(promotion, priced, { deliveryFee });
+  if (discount <= 0 && deliveryDiscount <= 0) {
+    return { error: "This promo code doesn't apply to the items in your cart" };
+  }
+
+  return { promotion, discount, deliveryDiscount };
+}
+
+// Uses of a promotion still counted against one customer (by account or email)
+const countCustomerUses = (promotionId, { userId = null, email = "" }) =>
+  PromotionRedemption.countDocuments({
+    promotionId,
+    status: { $in: COUNTED_STATUSES },
+    $or: [...(userId ? [{ userId }] : []), ...(email ? [{ email: email.toLowerCase() }] : [])],
+  });
+
+/**
+ * ✅ Claim one use of a promotion for a checkout
+ * - The global limit is enforced atomically, so two checkouts can't take the last use
+ * - The per-customer limit is re-checked after the claim and the use given back
+ *   if concurrent checkouts by the same customer went over it
+ * - Resolves to { claimed: true } or { claimed: false, error }
+ */
+export async function claimPromotionUse({ promotion, reference, userId = null, email = "", discount = 0 }) {
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      active: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) return { claimed: false, error: "This promo code has been fully redeemed" };
+
+  let redemption;
+  try {
+    redemption = await PromotionRedemption.create({
+      promotionId: promotion._id,
+      code: promotion.code,
+      reference,
+      userId,
+      email,
+      discount,
+    });
+  } catch (error) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+    throw error;
+  }
+
+  // Counted after taking the use, so two checkouts can't both slip under the limit
+  if (claimed.perUserLimit !== null && (userId || email)) {
+    const used = await countCustomerUses(promotion._id, { userId, email });
+    if (used > claimed.perUserLimit) {
+      await PromotionRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { status: "released", releasedReason: "per_user_limit" } }
+      );
+      await Promotion.updateOne({ _id: promotion._id, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+      logPromotionEvent("CLAIM_REJECTED", { code: promotion.code, reference, reason: "per_user_limit" });
+      return { claimed: false, error: "You have already used this promo code" };
+    }
+  }
+
+  logPromotionEvent("CLAIMED", { code: promotion.code, reference, userId, discount });
+  return { claimed: true };
+}
+
+// A released use being paid for late: take it again only if the limits still allow it
+const reclaimReleasedUse = async (redemption) => {
+  const { reference, code } = redemption;
+
+  const promotion = await Promotion.findOneAndUpdate(
+    {
+      _id: redemption.promotionId,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usageCount", "$usageLimit"] } }],
+    },
+    { $inc: { usageCount: 1 } },
+    { new: true }
+  );
+  if (!promotion) {
+    logPromotionEvent("REDEEM_REJECTED", { code, reference, reason: "usage_limit" });
+    return { redeemed: false, limitExceeded: true, error: `Promo code ${code} has no uses left` };
+  }
+
+  const reclaimed = await PromotionRedemption.findOneAndUpdate(
+    { _id: redemption._id, status: "released" },
+    { $set: { status: "redeemed", releasedReason: "" } },
+    { new: true }
+  );
+  if (!reclaimed) {
+    await Promotion.updateOne({ _id: promotion._id }, { $inc: { usageCount: -1 } });
+    return { redeemed: false };
+  }
+
+  // Counted after taking the use, so two late payments can't both slip under the limit
+  if (promotion.perUserLimit !== null && (redemption.userId || redemption.email)) {
+    const used = await countCustomerUses(promotion._id, redemption);
+    if (used > promotion.perUserLimit) {
+      await PromotionRedemption.updateOne(
+        { _id: redemption._id },
+        { $set: { status: "released", releasedReason: "per_user_limit" } }
+      );
+      await Promotion.updateOne({ _id: promotion._id, usageCount: { $gt: 0 } }, { $inc: { usageCount: -1 } });
+      logPromotionEvent("REDEEM_REJECTED", { code, reference, reason: "per_user_limit" });
+      return { redeemed: false, limitExceeded: true, error: `Promo code ${code} was already used by this customer` };
+    }
+  }
+
+  logPromotionEvent("REDEEMED", { code, reference, late: true });
+  return { redeemed: true };
+};
+
+/**
+ * ✅ The checkout's order was paid (or confirmed): its use is final
+ * - A use released earlier (e.g. superseded by a newer checkout before a late
+ *   payment) is taken again only within the global and per-customer limits
+ * - Resolves to { redeemed } or { redeemed: false, limitExceeded: true, error }
+ *   when the order got a discount it is no longer entitled to
+ */
+export async function redeemPromotionUse(reference) {
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { reference, status: "pending" },
+    { $set: { status: "redeemed" } },
+    { new: true }
+  );
+  if (redemption) {
+    logPromotionEvent("REDEEMED", { code: redemption.code, reference });
+    return { redeemed: true };
+  }
+
+  const released = await PromotionRedemption.findOne({ reference, status: "released" });
+  if (!released) return { redeemed: false };
+
+  return reclaimReleasedUse(released);
+}
+
+/**
+ * ✅ Give a checkout's use back (abandoned checkout or cancelled order)
+ * - Safe to call more than once, or for checkouts without a code
+ */
+export async function releasePromotionUse(reference, reason = "") {
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { reference, status: { $in: COUNTED_STATUSES } },
+    { $set: { status: "released", releasedReason: reason } },
+    { new: true }
+  );
+  if (!redemption) return false;
+
+  await Promotion.updateOne(
+    { _id: redemption.promotionId, usageCount: { $gt: 0 } },
+    { $inc: { usageCount: -1 } }
+  );
+  logPromotionEvent("RELEASED", { code: redemption.code, reference, reason });
+  return true;
+}
@@ -0,0 +1,222 @@
+// src/utils/reconciliation.js
+import Order from "../models/order.js";
+import ReconciliationReport from "../models/reconciliationReport.js";
+import { listTransactions, verifyTransaction } from "./paystackClient.js";
+import { fulfillOrder, PAYABLE_STATUSES } from "./fulfillment.js";
+
+const MAX_PAGES = 50;
+const MAX_UNSEEN_VERIFICATIONS = 200;
+
+// Payment statuses an order can only reach after Paystack charged it
+const CHARGED_STATUSES = ["paid", "refund_pending", "partially_refunded", "refunded", "disputed"];
+
+let running = false;
+
+const logReconcileEvent = (event, data) => {
+  console.log(`[RECONCILE ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ How far back each run looks
+ * - RECONCILE_LOOKBACK_HOURS in .env, defaults to 48 hours
+ */
+export function getLookbackMs() {
+  const hours = Number(process.env.RECONCILE_LOOKBACK_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 48) * 60 * 60 * 1000;
+}
+
+// Every successful Paystack transaction in the window
+const fetchSuccessfulTransactions = async (from, to) => {
+  const transactions = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const { data, meta } = await listTransactions({ from, to, status: "success", page, perPage: 100 });
+    transactions.push(...data);
+    if (!data.length || page >= (meta.pageCount || 1)) break;
+  }
+
+  return transactions;
+};
+
+// Compare one successful transaction with our order and fix what we can
+const reconcileTransaction = async (transaction, report) => {
+  const { reference, amount } = transaction;
+  const paystackAmount = amount / 100;
+  let order = await Order.findOne({ paystackReference: reference });
+
+  if (!order) {
+    report.summary.unknownReferences += 1;
+    report.issues.push({
+      reference,
+      type: "unknown_reference",
+      paystackAmount,
+      message: "Paystack charged this reference but no order exists",
+    });
+    return;
+  }
+
+  if (PAYABLE_STATUSES.includes(order.paymentStatus)) {
+    const { status } = await fulfillOrder({ reference, amountPaid: amount, source: "reconciliation" });
+
+    if (status === "paid") {
+      report.summary.fulfilled += 1;
+      report.issues.push({
+        reference,
+        type: "fulfilled",
+        orderId: order._id,
+        paystackAmount,
+        orderAmount: order.totalAmount,
+        message: "Charged order was still unpaid; fulfilled by reconciliation",
+      });
+      return;
+    }
+    if (status === "amount_mismatch") {
+      report.summary.amountMismatches += 1;
+      report.issues.push({
+        reference,
+        type: "amount_mismatch",
+        orderId: order._id,
+        paystackAmount,
+        orderAmount: order.totalAmount,
+        message: "Paystack charged less than the order total; left unpaid",
+      });
+      return;
+    }
+    // Anything else: something else settled the order while we were looking
+    order = await Order.findById(order._id);
+  }
+
+  // Charged, but the order was cancelled or never recorded as paid
+  if (!CHARGED_STATUSES.includes(order.paymentStatus)) {
+    report.summary.chargedNotFulfilled += 1;
+    report.issues.push({
+      reference,
+      type: "charged_not_fulfilled",
+      orderId: order._id,
+      paystackAmount,
+      orderAmount: order.totalAmount,
+      message: `Paystack charged this reference but the order is ${order.paymentStatus}`,
+    });
+    return;
+  }
+
+  const expected = Math.round(order.totalAmount * 100);
+  const recorded = order.amountPaid !== null ? Math.round(order.amountPaid * 100) : null;
+  if (amount < expected || (recorded !== null && recorded !== amount)) {
+    report.summary.amountMismatches += 1;
+    report.issues.push({
+      reference,
+      type: "amount_mismatch",
+      orderId: order._id,
+      paystackAmount,
+      orderAmount: order.totalAmount,
+      message: `Order is ${order.paymentStatus} but amounts differ (recorded paid: ${
+        order.amountPaid ?? "-"
+      })`,
+    });
+    return;
+  }
+
+  report.summary.matched += 1;
+};
+
+/**
+ * ✅ Compare recent Paystack transactions with our orders
+ * - Fulfils charged orders that are still unpaid through fulfillOrder()
+ * - Flags amount mismatches, references with no order and charged orders
+ *   that were cancelled or never marked paid
+ * - Also verifies unpaid orders the list didn't return, one by one
+ * - Resolves to the saved ReconciliationReport (null if a run is in progress)
+ */
+export async function runReconciliation({ trigger = "schedule", triggeredBy = null } = {}) {
+  if (running) {
+    logReconcileEvent("SKIPPED", { reason: "already running" });
+    return null;
+  }
+  running = true;
+
+  const windowTo = new Date();
+  const windowFrom = new Date(windowTo.getTime() - getLookbackMs());
+  let report;
+  try {
+    report = await ReconciliationReport.create({ trigger, triggeredBy, windowFrom, windowTo });
+  } catch (error) {
+    running = false;
+    throw error;
+  }
+  logReconcileEvent("STARTED", { reportId: report._id, trigger });
+
+  try {
+    const transactions = await fetchSuccessfulTransactions(windowFrom, windowTo);
+    const seen = new Set();
+
+    for (const transaction of transactions) {
+      if (!transaction?.reference || seen.has(transaction.reference)) continue;
+      seen.add(transaction.reference);
+      report.summary.checked += 1;
+
+      try {
+        await reconcileTransaction(transaction, report);
+      } catch (error) {
+        report.summary.errors += 1;
+        report.issues.push({ reference: transaction.reference, type: "error", message: error.message });
+      }
+    }
+
+    // Unpaid orders in the window that the list didn't include
+    const unseen = await Order.find({
+      paymentStatus: { $in: PAYABLE_STATUSES },
+      createdAt: { $gte: windowFrom, $lte: windowTo },
+      paystackReference: { $nin: [...seen] },
+    })
+      .select("paystackReference")
+      .limit(MAX_UNSEEN_VERIFICATIONS)
+      .lean();
+
+    for (const { paystackReference } of unseen) {
+      try {
+        const transaction = await verifyTransaction(paystackReference);
+        if (transaction?.status !== "success") continue;
+
+        report.summary.checked += 1;
+        await reconcileTransaction(transaction, report);
+      } catch (error) {
+        // 4xx from verify means Paystack never saw a payment for it
+        if (error.response && error.response.status < 500) continue;
+        report.summary.errors += 1;
+        report.issues.push({ reference: paystackReference, type: "error", message: error.message });
+      }
+    }
+
+    report.status = "completed";
+  } catch (error) {
+    console.error("Reconciliation failed:", error);
+    report.status = "failed";
+    report.error = error.response?.data?.message || error.message;
+  } finally {
+    running = false;
+    report.finishedAt = new Date();
+    await report.save();
+  }
+
+  logReconcileEvent("FINISHED", { reportId: report._id, status: report.status, summary: report.summary });
+  return report;
+}
+
+/**
+ * ✅ Run reconciliation on a schedule
+ * - RECONCILE_INTERVAL_MINUTES in .env, defaults to 60; set 0 to disable
+ */
+export function startReconciliationJob() {
+  const minutes = Number(process.env.RECONCILE_INTERVAL_MINUTES ?? 60);
+  if (!(minutes > 0)) return null;
+
+  const timer = setInterval(() => {
+    runReconciliation().catch((err) => console.error("Reconciliation run failed:", err));
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,329 @@
+// src/utils/refunds.js
+import Order from "../models/order.js";
+import { sendEmail } from "./Email.js";
+import { isRetryableError } from "./paystackClient.js";
+import { getProvider } from "../providers/index.js";
+
+const MAX_REFUND_ATTEMPTS = 5;
+const MAX_RESERVE_ATTEMPTS = 3;
+
+// A claimed refund whose request hasn't finished in this long is treated as
+// abandoned (the process died mid-call); it is also the back-off between retries
+const REFUND_LOCK_MS = 2 * 60 * 1000;
+export const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded", "refund_pending"];
+
+const logRefundEvent = (event, data) => {
+  console.log(`[REFUND ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Refunds that can't go through need a human
+const alertAdminRefundFailed = async (order, refund) => {
+  if (!process.env.ADMIN_EMAIL) return;
+
+  try {
+    await sendEmail({
+      to: process.env.ADMIN_EMAIL,
+      subject: `🚨 Refund Failed - ${order.paystackReference}`,
+      html: `
+        <h2>⚠️ Refund Failed</h2>
+        <p><strong>Order ID:</strong> ${order._id}</p>
+        <p><strong>Reference:</strong> ${order.paystackReference}</p>
+        <p><strong>Amount:</strong> ₵${refund.amount.toFixed(2)}</p>
+        <p><strong>Reason:</strong> ${refund.reason || "-"}</p>
+        <p><strong>Error:</strong> ${refund.lastError || "-"}</p>
+        <p style="color: red;"><strong>Action Required:</strong> Refund the customer manually.</p>
+      `,
+    });
+  } catch (err) {
+    console.error("Failed to send refund alert:", err);
+  }
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const sumRefunds = (order, statuses) =>
+  round2(
+    (order.refunds || [])
+      .filter((r) => statuses.includes(r.status))
+      .reduce((sum, r) => sum + r.amount, 0)
+  );
+
+/**
+ * ✅ How much of an order can still be refunded (GHS)
+ * - Queued and pending refunds count as already spoken for
+ */
+export function getRefundableAmount(order) {
+  const paid = order.amountPaid ?? order.totalAmount;
+  return Math.max(0, round2(paid - sumRefunds(order, ["queued", "submitting", "pending", "processed"])));
+}
+
+/**
+ * ✅ paymentStatus implied by an order's refund records
+ */
+export function derivePaymentStatus(order) {
+  const paid = order.amountPaid ?? order.totalAmount;
+  const processed = sumRefunds(order, ["processed"]);
+  const inFlight = (order.refunds || []).some((r) => ["queued", "submitting", "pending"].includes(r.status));
+
+  if (order.dispute?.status === "open") return "disputed";
+  if (processed > 0 && processed >= paid) return "refunded";
+  if (inFlight) return "refund_pending";
+  if (processed > 0) return "partially_refunded";
+  return "paid";
+}
+
+// Write a refund's outcome, only while this attempt still holds the claim,
+// then recompute paymentStatus from the stored refunds
+const finishAttempt = async (orderId, refundId, fields) => {
+  const set = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`refunds.$.${key}`, value]));
+
+  let order = await Order.findOneAndUpdate(
+    { _id: orderId, refunds: { $elemMatch: { _id: refundId, status: "submitting" } } },
+    { $set: set },
+    { new: true }
+  );
+
+  // A webhook settled it first: keep its status, just remember the Paystack id
+  if (!order) {
+    if (fields.paystackRefundId) {
+      await Order.updateOne(
+        { _id: orderId, refunds: { $elemMatch: { _id: refundId, paystackRefundId: null } } },
+        { $set: { "refunds.$.paystackRefundId": fields.paystackRefundId } }
+      );
+    }
+    order = await Order.findById(orderId);
+  }
+
+  await Order.updateOne({ _id: orderId }, { $set: { paymentStatus: derivePaymentStatus(order) } });
+  order.paymentStatus = derivePaymentStatus(order);
+  return order;
+};
+
+/**
+ * ✅ Send one refund record to the order's payment provider
+ * - Claims the refund atomically first ("queued", or "submitting" with an
+ *   abandoned lock), so it is never sent twice at the same time
+ * - A refund tried before is looked up at the provider first, in case the
+ *   earlier request timed out but went through
+ * - Paystack success moves it to "pending" until refund.processed arrives
+ * - Network/5xx failures put it back to "queued" for the retrier
+ * - Resolves to the refund record (`refund.ownerDocument()` is the order)
+ */
+export async function attemptRefund(order, refund) {
+  const now = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      refunds: {
+        $elemMatch: {
+          _id: refund._id,
+          $or: [
+            { status: "queued" },
+            { status: "submitting", lockedAt: { $lt: new Date(now.getTime() - REFUND_LOCK_MS) } },
+          ],
+        },
+      },
+    },
+    { $set: { "refunds.$.status": "submitting", "refunds.$.lockedAt": now }, $inc: { "refunds.$.attempts": 1 } },
+    { new: true }
+  );
+
+  // Someone else is sending it (or it's already settled)
+  if (!claimed) {
+    const current = await Order.findById(order._id);
+    return current?.refunds.id(refund._id) || refund;
+  }
+
+  const record = claimed.refunds.id(refund._id);
+  let fields;
+
+  try {
+    const provider = getProvider(claimed.paymentMethod);
+    const existing =
+      record.attempts > 1 && provider.findRefund ? await provider.findRefund({ order: claimed, refund: record }) : null;
+    const result = existing || (await provider.refund({ order: claimed, refund: record }));
+
+    // Gateways confirm later by webhook; cash refunds settle immediately
+    const status = ["processed", "failed"].includes(result.status) ? result.status : "pending";
+    fields = {
+      status,
+      paystackRefundId: result.id,
+      lastError: status === "failed" ? "Refund failed at the payment provider" : "",
+      ...(status === "processed" ? { processedAt: new Date() } : {}),
+    };
+    logRefundEvent(existing ? "FOUND_AT_PROVIDER" : "SUBMITTED", {
+      orderId: claimed._id,
+      refundId: record._id,
+      paystackRefundId: result.id,
+    });
+  } catch (error) {
+    const lastError = error.response?.data?.message || error.message;
+    const gaveUp = !isRetryableError(error) || record.attempts >= MAX_REFUND_ATTEMPTS;
+    fields = { status: gaveUp ? "failed" : "queued", lastError };
+    logRefundEvent(gaveUp ? "FAILED" : "QUEUED", { orderId: claimed._id, refundId: record._id, error: lastError });
+  }
+
+  const updated = await finishAttempt(claimed._id, record._id, fields);
+  const result = updated.refunds.id(record._id);
+  if (fields.status === "failed" && result.status === "failed") await alertAdminRefundFailed(updated, result);
+  return result;
+}
+
+const refundError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * ✅ Record a refund on an order and submit it to its payment provider
+ * - `amount` in GHS; omit for a full refund of what remains
+ * - The amount is reserved atomically (only if no other refund was recorded
+ *   since the order was read), so concurrent refunds can't over-refund
+ * - Throws an Error with `status` 400 when the refund is not allowed, 409 when
+ *   other refunds kept landing first
+ * - Resolves to the refund record; `refund.ownerDocument()` is the updated order
+ */
+export async function requestRefund(order, { amount, reason = "", by = null, source = "admin" } = {}) {
+  let current = order;
+
+  for (let attempt = 0; attempt < MAX_RESERVE_ATTEMPTS; attempt++) {
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(current.paymentStatus)) {
+      throw refundError(`Cannot refund an order with payment status: ${current.paymentStatus}`, 400);
+    }
+
+    const refundable = getRefundableAmount(current);
+    const refundAmount = amount === undefined || amount === null ? refundable : round2(Number(amount));
+
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      throw refundError(`Refund amount must be between ₵0.01 and ₵${refundable.toFixed(2)}`, 400);
+    }
+
+    const reserved = await Order.findOneAndUpdate(
+      {
+        _id: current._id,
+        paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES },
+        refunds: { $size: current.refunds.length },
+      },
+      {
+        $push: {
+          refunds: {
+            amount: refundAmount,
+            reason,
+            source,
+            initiatedBy: by?._id || by || null,
+            status: "queued",
+            lockedAt: new Date(),
+          },
+        },
+      },
+      { new: true }
+    );
+
+    if (reserved) {
+      await Order.updateOne({ _id: reserved._id }, { $set: { paymentStatus: derivePaymentStatus(reserved) } });
+
+      const refund = reserved.refunds[reserved.refunds.length - 1];
+      logRefundEvent("REQUESTED", { orderId: reserved._id, refundId: refund._id, amount: refundAmount, source });
+
+      return attemptRefund(reserved, refund);
+    }
+
+    // Another refund got there first: re-check against what is left now
+    current = await Order.findById(order._id);
+    if (!current) throw refundError("Order not found", 404);
+  }
+
+  throw refundError("The order's refunds changed while this one was being recorded — please try again", 409);
+}
+
+/**
+ * ✅ Apply a refund.* webhook to the matching order
+ * - Matches on Paystack refund id, falling back to the oldest pending refund of that amount
+ */
+export async function applyRefundEvent(event, data = {}) {
+  const reference = data.transaction_reference || data.transaction?.reference;
+  const order = reference ? await Order.findOne({ paystackReference: reference }) : null;
+  if (!order) {
+    logRefundEvent("EVENT_ORDER_NOT_FOUND", { event, reference });
+    return { status: "not_found", order: null };
+  }
+
+  const paystackRefundId = data.id != null ? String(data.id) : null;
+  const amount = data.amount != null ? round2(Number(data.amount) / 100) : null;
+
+  const refund =
+    order.refunds.find((r) => paystackRefundId && r.paystackRefundId === paystackRefundId) ||
+    order.refunds.find(
+      (r) => ["queued", "submitting", "pending"].includes(r.status) && (amount === null || r.amount === amount)
+    );
+
+  if (!refund) {
+    logRefundEvent("EVENT_REFUND_NOT_FOUND", { event, orderId: order._id, paystackRefundId });
+    return { status: "not_found", order };
+  }
+
+  if (event === "refund.processed") {
+    refund.status = "processed";
+    refund.processedAt = new Date();
+  } else if (event === "refund.failed") {
+    refund.status = "failed";
+    refund.lastError = data.reason || data.message || "Refund failed at Paystack";
+  } else {
+    // refund.pending / refund.processing: Paystack is still working on it
+    if (refund.status === "queued") refund.status = "pending";
+  }
+  if (paystackRefundId && !refund.paystackRefundId) refund.paystackRefundId = paystackRefundId;
+
+  order.paymentStatus = derivePaymentStatus(order);
+  await order.save();
+
+  logRefundEvent("EVENT_APPLIED", { event, orderId: order._id, refundId: refund._id, status: refund.status });
+  if (refund.status === "failed") await alertAdminRefundFailed(order, refund);
+
+  return { status: "updated", order };
+}
+
+/**
+ * ✅ Retry refunds Paystack could not be reached for
+ * - Skips refunds created or tried in the last REFUND_LOCK_MS (a first request
+ *   may still be in flight) and picks up claims whose request was abandoned
+ */
+export async function retryQueuedRefunds() {
+  const staleBefore = new Date(Date.now() - REFUND_LOCK_MS);
+  const isDue = (r) =>
+    ["queued", "submitting"].includes(r.status) && (!r.lockedAt || r.lockedAt < staleBefore);
+
+  const orders = await Order.find({
+    refunds: {
+      $elemMatch: {
+        status: { $in: ["queued", "submitting"] },
+        $or: [{ lockedAt: null }, { lockedAt: { $lt: staleBefore } }],
+      },
+    },
+  });
+
+  for (const order of orders) {
+    for (const refund of order.refunds.filter(isDue)) {
+      try {
+        await attemptRefund(order, refund);
+      } catch (err) {
+        console.error("Refund retry failed:", err);
+      }
+    }
+  }
+}
+
+/**
+ * ✅ Periodically retry queued refunds
+ * - REFUND_RETRY_SECONDS in .env, defaults to 300 seconds
+ */
+export function startRefundRetrier() {
+  const seconds = Number(process.env.REFUND_RETRY_SECONDS);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 300) * 1000;
+
+  const timer = setInterval(() => {
+    retryQueuedRefunds().catch((err) => console.error("Refund retry sweep failed:", err));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,163 @@
+// src/utils/reservations.js
+import Reservation from "../models/reservation.js";
+import { takeStock, restoreStock, refreshDrinkStatus } from "./inventory.js";
+import { releasePromotionUse } from "./promotions.js";
+import { releaseSlotBooking } from "./deliverySlots.js";
+
+const logReservationEvent = (event, data) => {
+  console.log(`[RESERVATION ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ How long a checkout may hold stock
+ * - RESERVATION_TTL_MINUTES in .env, defaults to 30 minutes
+ */
+export function getReservationTtlMs() {
+  const minutes = Number(process.env.RESERVATION_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : 30) * 60 * 1000;
+}
+
+/**
+ * ✅ Hold stock for a checkout
+ * - Takes every line off stock atomically; rolls back and returns the
+ *   failed lines if any of them cannot be covered
+ * - Guest checkouts pass userId null and their cart's guestId
+ * - Resolves to { reservation, failed }
+ */
+export async function reserveItems(reference, userId, items, { guestId = null } = {}) {
+  const taken = [];
+  const failed = [];
+
+  for (const item of items) {
+    const line = {
+      drinkId: item.drinkId,
+      pack: Number(item.pack),
+      quantity: Number(item.quantity),
+    };
+    if (await takeStock(line.drinkId, line.pack, line.quantity)) {
+      taken.push(line);
+    } else {
+      failed.push({ ...line, name: item.name });
+    }
+  }
+
+  if (failed.length > 0) {
+    await restoreStock(taken);
+    logReservationEvent("FAILED", { reference, failed });
+    return { reservation: null, failed };
+  }
+
+  const reservation = await Reservation.create({
+    reference,
+    userId: userId || null,
+    guestId: userId ? null : guestId,
+    items: taken,
+    expiresAt: new Date(Date.now() + getReservationTtlMs()),
+  });
+
+  await Promise.all(
+    [...new Set(taken.map((i) => String(i.drinkId)))].map((id) => refreshDrinkStatus(id))
+  );
+
+  logReservationEvent("CREATED", {
+    reference,
+    userId,
+    guestId,
+    expiresAt: reservation.expiresAt,
+  });
+  return { reservation, failed };
+}
+
+/**
+ * ✅ Mark a reservation as used by its order
+ * - Resolves to true when an active hold was consumed (stock already taken)
+ */
+export async function consumeReservation(reference) {
+  const reservation = await Reservation.findOneAndUpdate(
+    { reference, status: "active" },
+    { $set: { status: "consumed" } },
+    { new: true }
+  );
+
+  if (reservation) logReservationEvent("CONSUMED", { reference });
+  return Boolean(reservation);
+}
+
+/**
+ * ✅ Give a reservation's stock back
+ * - Only active holds are released, so calling this twice is safe
+ * - The checkout's promo code use and delivery slot (if any) are given back with it
+ */
+export async function releaseReservation(reference, reason = "") {
+  const reservation = await Reservation.findOneAndUpdate(
+    { reference, status: "active" },
+    { $set: { status: "released", releasedReason: reason } },
+    { new: true }
+  );
+  if (!reservation) return false;
+
+  await restoreStock(reservation.items);
+  await releasePromotionUse(reference, reason);
+  await releaseSlotBooking(reference, reason);
+  logReservationEvent("RELEASED", { reference, reason });
+  return true;
+}
+
+/**
+ * ✅ Release every active hold a user still has (new checkout replaces old ones)
+ */
+export async function releaseUserReservations(userId, reason = "superseded") {
+  const active = await Reservation.find({ userId, status: "active" }).select("reference");
+  for (const { reference } of active) {
+    await releaseReservation(reference, reason);
+  }
+}
+
+/**
+ * ✅ Same for a guest cart
+ */
+export async function releaseGuestReservations(guestId, reason = "superseded") {
+  const active = await Reservation.find({ guestId, status: "active" }).select("reference");
+  for (const { reference } of active) {
+    await releaseReservation(reference, reason);
+  }
+}
+
+/**
+ * ✅ Release holds whose checkout never completed
+ */
+export async function releaseExpiredReservations() {
+  const expired = await Reservation.find({
+    status: "active",
+    expiresAt: { $lte: new Date() },
+  }).select("reference");
+
+  for (const { reference } of expired) {
+    try {
+      await releaseReservation(reference, "expired");
+    } catch (err) {
+      console.error("Failed to release reservation:", err);
+    }
+  }
+  return expired.length;
+}
+
+/**
+ * ✅ Periodically release expired holds
+ * - RESERVATION_SWEEP_SECONDS in .env, defaults to 60 seconds
+ */
+export function startReservationSweeper() {
+  const seconds = Number(process.env.RESERVATION_SWEEP_SECONDS);
+  const intervalMs = (Number.isFinite(seconds) && seconds > 0 ? seconds : 60) * 1000;
+
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch((err) =>
+      console.error("Reservation sweep failed:", err)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
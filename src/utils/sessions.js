@@ -0,0 +1,165 @@
+// src/utils/sessions.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshToken.js";
+import User from "../models/user.js";
+import {
+  signAccessToken,
+  signRefreshToken,
+  hashToken,
+  compareToken,
+  verifyToken,
+} from "./tokens.js";
+
+/*
+ * Refresh-token store. Each login starts a token family (one per device);
+ * every refresh revokes the presented token and issues its successor in the
+ * same family. Presenting a token that was already rotated means it leaked,
+ * so the whole family is revoked and that device has to log in again.
+ */
+
+const logSessionEvent = (event, data) => {
+  console.log(`[SESSION ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+// Error with an HTTP status for the auth controller to pass through
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * ✅ Issue an access token and a stored refresh token
+ * - Pass `family` to continue a login, omit it to start a new one
+ * - Resolves to { token, refreshToken, refreshExpiresAt }
+ */
+export async function issueTokens(user, { family = crypto.randomUUID(), req = null } = {}) {
+  const jti = crypto.randomUUID();
+  const refreshToken = signRefreshToken(user, { jti, family });
+  const refreshExpiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  await RefreshToken.create({
+    userId: user._id,
+    jti,
+    family,
+    tokenHash: await hashToken(refreshToken),
+    userAgent: req?.get?.("user-agent") || "",
+    ip: req?.ip || "",
+    expiresAt: refreshExpiresAt,
+  });
+
+  return { token: signAccessToken(user), refreshToken, refreshExpiresAt, jti };
+}
+
+/**
+ * ✅ Revoke every token in a family
+ */
+export async function revokeFamily(family, reason) {
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * ✅ Revoke every token a user holds (all devices)
+ */
+export async function revokeUserTokens(userId, reason = "logout_all") {
+  const { modifiedCount } = await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  logSessionEvent("USER_TOKENS_REVOKED", { userId, reason, count: modifiedCount });
+  return modifiedCount;
+}
+
+// Decode a presented refresh token and load its stored record
+const loadToken = async (refreshToken) => {
+  let decoded;
+  try {
+    decoded = verifyToken(refreshToken, true);
+  } catch {
+    throw sessionError("Invalid or expired refresh token");
+  }
+
+  // Tokens issued before the store existed carry no jti and can't be trusted
+  if (!decoded.jti) throw sessionError("Invalid or expired refresh token");
+
+  const record = await RefreshToken.findOne({ jti: decoded.jti });
+  if (!record || !(await compareToken(record.tokenHash, refreshToken))) {
+    throw sessionError("Invalid or expired refresh token");
+  }
+
+  return { decoded, record };
+};
+
+/**
+ * ✅ Swap a refresh token for a new access + refresh token pair
+ * - Reuse of a rotated token revokes the whole family
+ * - Throws an Error with `.status` 401 on anything invalid
+ */
+export async function rotateRefreshToken(refreshToken, { req = null } = {}) {
+  const { record } = await loadToken(refreshToken);
+
+  if (record.revokedAt) {
+    if (record.revokedReason === "rotated") {
+      const revoked = await revokeFamily(record.family, "reuse_detected");
+      logSessionEvent("REUSE_DETECTED", {
+        userId: record.userId,
+        family: record.family,
+        revoked,
+        ip: req?.ip,
+      });
+    }
+    throw sessionError("Refresh token has been revoked");
+  }
+
+  const user = await User.findById(record.userId);
+  if (!user) {
+    await revokeFamily(record.family, "logout");
+    throw sessionError("User not found");
+  }
+
+  const issued = await issueTokens(user, { family: record.family, req });
+
+  // Atomic claim: if two refreshes race, only one may rotate this token
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated", replacedBy: issued.jti } }
+  );
+
+  if (!claimed) {
+    await revokeFamily(record.family, "reuse_detected");
+    logSessionEvent("REUSE_DETECTED", { userId: record.userId, family: record.family, ip: req?.ip });
+    throw sessionError("Refresh token has been revoked");
+  }
+
+  return { user, ...issued };
+}
+
+/**
+ * ✅ Revoke the presented refresh token (logout)
+ * - `allDevices` revokes every token the user holds
+ * - Unknown or already revoked tokens are ignored
+ */
+export async function revokeRefreshToken(refreshToken, { allDevices = false } = {}) {
+  let record;
+  try {
+    ({ record } = await loadToken(refreshToken));
+  } catch {
+    return null;
+  }
+
+  if (allDevices) {
+    await revokeUserTokens(record.userId, "logout_all");
+  } else {
+    await revokeFamily(record.family, "logout");
+  }
+
+  return record.userId;
+}
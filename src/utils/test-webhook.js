@@ -1,36 +1,33 @@
 import crypto from 'crypto';
+import http from 'http';
 import https from 'https';
+import dotenv from 'dotenv';
 
-const SECRET_KEY = 'sk_test_226ad62709703eccaa934a88d9bffa8a0726c13d';
-const WEBHOOK_URL = 'https://v67p2qfl-5000.uks1.devtunnels.ms/api/payments/webhook';
+dotenv.config();
+
+// Signed with the same key the server verifies webhooks with (.env)
+const SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
+const WEBHOOK_URL =
+  process.env.TEST_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+// Orders are created at /api/payments/initialize, so pass the reference it returned:
+//   node src/utils/test-webhook.js <reference> <amountInPesewas>
+const [, , REFERENCE, AMOUNT] = process.argv;
+if (!REFERENCE || !AMOUNT) {
+  console.error('Usage: node src/utils/test-webhook.js <reference> <amountInPesewas>');
+  process.exit(1);
+}
+if (!SECRET_KEY) {
+  console.error('❌ Set PAYSTACK_SECRET_KEY in .env');
+  process.exit(1);
+}
 
 const payload = {
   event: "charge.success",
   data: {
-    reference: "TEST_NODE_" + Date.now(),
-    amount: 25000, // 240 GHS in pesewas
-    metadata: {
-      userId: "692a00b424a85d0390fb72ba",
-      customer: {
-        fullName: "Order Test",
-        email: "kwarteon08@gmail.com",
-        phone: "0551234568",
-        address: "Test Address",
-        city: "Accra",
-        country: "Ghana"
-      },
-      items: [
-        {
-          drinkId: "691dfc510c9aa70ff11e0672",
-          name: "Orange juice",
-          price: 61,
-          quantity: 4,
-          pack: "500ml",
-          image: ""
-        }
-      ],
-      calculatedTotal: 250
-    }
+    reference: REFERENCE,
+    amount: Number(AMOUNT), // in pesewas
+    status: "success",
   }
 };
 
@@ -53,7 +50,7 @@ const url = new URL(WEBHOOK_URL);
 // Prepare request options
 const options = {
   hostname: url.hostname,
-  port: url.port || 443,
+  port: url.port || (url.protocol === 'https:' ? 443 : 80),
   path: url.pathname,
   method: 'POST',
   headers: {
@@ -64,7 +61,7 @@ const options = {
 };
 
 // Send request
-const req = https.request(options, (res) => {
+const req = (url.protocol === 'https:' ? https : http).request(options, (res) => {
   let data = '';
 
   res.on('data', (chunk) => {
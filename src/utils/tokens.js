@@ -7,13 +7,13 @@ dotenv.config();
 
 /**
  * ✅ Create an Access Token
- * - Includes user id and isAdmin flag
+ * - Includes user id and role (permissions are always re-read from the DB)
  * - Defaults to 15m unless overridden by .env
  */
 export function signAccessToken(user) {
   const payload = {
     id: user._id || user.id,
-    isAdmin: user.isAdmin || false,
+    role: user.role || "customer",
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
@@ -23,21 +23,24 @@ export function signAccessToken(user) {
 
 /**
  * ✅ Create a Refresh Token
- * - Also includes isAdmin to preserve user role on refresh
+ * - Also includes the role for clients that read the token
+ * - `jti` identifies the stored token, `family` the login it descends from
  */
-export function signRefreshToken(user) {
+export function signRefreshToken(user, { jti, family } = {}) {
   const payload = {
     id: user._id || user.id,
-    isAdmin: user.isAdmin || false,
+    role: user.role || "customer",
+    ...(family ? { family } : {}),
   };
 
   return jwt.sign(payload, process.env.REFRESH_SECRET, {
     expiresIn: process.env.REFRESH_EXPIRES || "7d",
+    ...(jti ? { jwtid: jti } : {}),
   });
 }
 
 /**
- * ✅ Hash token for secure storage (optional)
+ * ✅ Hash token for secure storage
  */
 export async function hashToken(token) {
   return bcrypt.hash(token, 10);
@@ -50,9 +53,25 @@ export async function compareToken(hash, token) {
   return bcrypt.compare(token, hash);
 }
 
+/**
+ * ✅ Verify an Access Token sent as a session
+ * - Rejects tokens without an expiry: access tokens signed before they were
+ *   short-lived never expire and must not keep working
+ * - Rejects purpose tokens (2FA challenge, guest cart) signed with the same secret
+ * - Throws on anything that isn't a valid session token
+ */
+export function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (typeof decoded.exp !== "number" || typeof decoded.iat !== "number" || decoded.purpose) {
+    throw new Error("Invalid or expired token");
+  }
+  return decoded;
+}
+
 /**
  * ✅ Verify Access or Refresh Token
- * - Returns decoded payload (id + isAdmin)
+ * - Returns decoded payload (id + role)
  */
 export function verifyToken(token, isRefresh = false) {
   const secret = isRefresh
@@ -0,0 +1,180 @@
+// src/utils/twoFactor.js
+import jwt from "jsonwebtoken";
+import User from "../models/user.js";
+import { hashToken, compareToken } from "./tokens.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+} from "./totp.js";
+
+// Fields hidden by default that the 2FA checks need
+export const TWO_FACTOR_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes";
+
+const CHALLENGE_EXPIRES = "5m";
+
+/**
+ * ✅ Roles that must use 2FA
+ * - TWO_FACTOR_REQUIRED_ROLES in .env (comma separated), defaults to owner,manager,staff
+ */
+export function getTwoFactorRequiredRoles() {
+  const configured = process.env.TWO_FACTOR_REQUIRED_ROLES;
+  return (configured ?? "owner,manager,staff")
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+}
+
+/**
+ * ✅ Must this user have 2FA switched on?
+ */
+export function isTwoFactorRequired(user) {
+  return getTwoFactorRequiredRoles().includes(user?.role);
+}
+
+/**
+ * ✅ Short-lived token standing in for a session between login steps
+ * - purpose "2fa_login": password was right, a code is still needed
+ * - purpose "2fa_setup": password was right, but 2FA must be set up first
+ */
+export function signTwoFactorChallenge(user, purpose) {
+  return jwt.sign({ id: user._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_EXPIRES,
+  });
+}
+
+/**
+ * ✅ Decode a challenge token (throws if invalid, expired or for another purpose)
+ */
+export function verifyTwoFactorChallenge(token, purpose) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== purpose) throw new Error("Invalid challenge token");
+  return decoded;
+}
+
+const hashRecoveryCodes = async (codes) =>
+  Promise.all(codes.map(async (code) => ({ hash: await hashToken(code), usedAt: null })));
+
+/**
+ * ✅ Start enrollment: store a pending secret and return it for the QR code
+ */
+export async function startEnrollment(user) {
+  const secret = generateTotpSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+  );
+  return { secret, otpauthUrl: buildOtpAuthUri({ secret, account: user.email }) };
+}
+
+/**
+ * ✅ Finish enrollment with the first code from the app
+ * - Resolves to the plain recovery codes (shown once), or null if the code is wrong
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.pendingSecret) return null;
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) return null;
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = encryptSecret(secret);
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = await hashRecoveryCodes(recoveryCodes);
+  await user.save();
+
+  return recoveryCodes;
+}
+
+/**
+ * ✅ Check a TOTP code (or, if allowed, a recovery code) for an enrolled user
+ * - Each TOTP step and each recovery code works once
+ * - Resolves to { valid, method, recoveryCodesRemaining }
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode, allowRecovery = true } = {}) {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return { valid: false };
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, {
+      afterStep: user.twoFactor.lastUsedStep,
+    });
+    if (step === null) return { valid: false };
+
+    // Atomic so the same code can't be used twice in parallel
+    const claimed = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return { valid: claimed.modifiedCount === 1, method: "totp" };
+  }
+
+  if (recoveryCode && allowRecovery) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    const codes = user.twoFactor.recoveryCodes;
+
+    for (let i = 0; i < codes.length; i++) {
+      if (codes[i].usedAt || !(await compareToken(codes[i].hash, normalized))) continue;
+
+      const claimed = await User.updateOne(
+        { _id: user._id, [`twoFactor.recoveryCodes.${i}.usedAt`]: null },
+        { $set: { [`twoFactor.recoveryCodes.${i}.usedAt`]: new Date() } }
+      );
+      return {
+        valid: claimed.modifiedCount === 1,
+        method: "recovery_code",
+        recoveryCodesRemaining: codes.filter((c) => !c.usedAt).length - 1,
+      };
+    }
+  }
+
+  return { valid: false };
+}
+
+/**
+ * ✅ Replace all recovery codes (returns the new plain codes)
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "twoFactor.recoveryCodes": await hashRecoveryCodes(recoveryCodes) } }
+  );
+  return recoveryCodes;
+}
+
+/**
+ * ✅ Turn 2FA off and forget the secret
+ */
+export async function disableTwoFactor(userId) {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": false,
+        "twoFactor.enabledAt": null,
+        "twoFactor.secret": null,
+        "twoFactor.pendingSecret": null,
+        "twoFactor.lastUsedStep": -1,
+        "twoFactor.recoveryCodes": [],
+      },
+    }
+  );
+}
+
+/**
+ * ✅ How many unused recovery codes a user has left
+ */
+export async function countRecoveryCodes(userId) {
+  const user = await User.findById(userId).select("+twoFactor.recoveryCodes").lean();
+  return (user?.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt).length;
+}
@@ -0,0 +1,134 @@
+// src/utils/webhookInbox.js
+import crypto from "crypto";
+import WebhookEvent from "../models/webhookEvent.js";
+import { handlePaystackEvent } from "./paystackEvents.js";
+
+// An event stuck in "processing" this long is assumed to have crashed
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const logInboxEvent = (event, data) => {
+  console.log(`[WEBHOOK_INBOX ${event}]`, {
+    ...data,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * ✅ Paystack event identity
+ * - Paystack sends no event id, so use event name + the object's id
+ *   (transaction, refund, dispute or transfer), falling back to a body hash
+ */
+export function getPaystackEventKey(body = {}, rawBody = "") {
+  const { event, data = {} } = body;
+  const objectId = data.id ?? data.reference ?? data.transaction_reference;
+  if (event && objectId !== undefined && objectId !== null) return `${event}:${objectId}`;
+  return `sha256:${crypto.createHash("sha256").update(rawBody).digest("hex")}`;
+}
+
+/**
+ * ✅ Store an incoming webhook before anything else happens
+ * - Only for signature-verified requests; callers log and drop the rest so
+ *   forged traffic can't fill the collection
+ * - Resolves to { eventDoc, duplicate } — duplicate when Paystack re-delivers
+ *   an event we already stored (its delivery counter is bumped)
+ */
+export async function recordWebhookEvent({ body = {}, rawBody, ip = "" }) {
+  const base = {
+    provider: "paystack",
+    event: body.event || "",
+    reference:
+      body.data?.reference || body.data?.transaction_reference || body.data?.transaction?.reference || null,
+    rawBody,
+    signatureValid: true,
+    ip,
+  };
+
+  const eventKey = getPaystackEventKey(body, rawBody);
+
+  try {
+    const eventDoc = await WebhookEvent.create({ ...base, eventKey });
+    return { eventDoc, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const eventDoc = await WebhookEvent.findOneAndUpdate(
+      { provider: "paystack", eventKey },
+      { $inc: { deliveries: 1 } },
+      { new: true }
+    );
+    return { eventDoc, duplicate: true };
+  }
+}
+
+/**
+ * ✅ Should a stored event be (re)processed?
+ */
+export function isProcessable(eventDoc) {
+  if (!eventDoc?.signatureValid) return false;
+  if (["received", "failed"].includes(eventDoc.status)) return true;
+  return (
+    eventDoc.status === "processing" &&
+    Date.now() - new Date(eventDoc.updatedAt).getTime() > STALE_PROCESSING_MS
+  );
+}
+
+/**
+ * ✅ Run a stored event through the Paystack handlers
+ * - Claims the event atomically so concurrent deliveries/replays can't double-process
+ * - Records the outcome or error on the event and rethrows handler errors
+ * - Resolves to the handler result, or null when someone else holds the claim
+ */
+export async function processWebhookEvent(eventDoc, { replayedBy = null } = {}) {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MS);
+
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: eventDoc._id,
+      signatureValid: true,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        { status: "processing", updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: {
+        status: "processing",
+        ...(replayedBy ? { lastReplayedAt: new Date(), lastReplayedBy: replayedBy } : {}),
+      },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  let body;
+  try {
+    body = JSON.parse(claimed.rawBody);
+  } catch (error) {
+    claimed.status = "failed";
+    claimed.error = "Stored body is not valid JSON";
+    await claimed.save();
+    throw error;
+  }
+
+  try {
+    const result = await handlePaystackEvent(body.event, body.data);
+
+    claimed.status = result.status === "ignored" ? "ignored" : "processed";
+    claimed.outcome = result.status;
+    claimed.error = "";
+    claimed.processedAt = new Date();
+    await claimed.save();
+
+    logInboxEvent("PROCESSED", { id: claimed._id, event: claimed.event, outcome: result.status });
+    return result;
+  } catch (error) {
+    claimed.status = "failed";
+    claimed.error = error.message;
+    await claimed.save();
+
+    logInboxEvent("FAILED", { id: claimed._id, event: claimed.event, error: error.message });
+    throw error;
+  }
+}
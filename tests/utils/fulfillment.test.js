@@ -0,0 +1,211 @@
+// tests/utils/fulfillment.test.js
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+/*
+ * fulfillOrder against an in-memory Order collection. findOneAndUpdate
+ * applies its filter and update in one step (as MongoDB does), and every
+ * call yields to the event loop first so concurrent callers interleave.
+ */
+
+const store = new Map();
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const clone = (doc) => (doc ? structuredClone(doc) : null);
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, value]) =>
+    value === null
+      ? doc[key] == null
+      : value && typeof value === "object" && "$in" in value
+        ? value.$in.includes(doc[key])
+        : doc[key] === value
+  );
+
+const find = (filter) => [...store.values()].find((doc) => matches(doc, filter)) || null;
+
+vi.mock("../../src/models/order.js", () => ({
+  default: {
+    findOne: vi.fn(async (filter) => {
+      await tick();
+      return clone(find(filter));
+    }),
+    findById: vi.fn(async (id) => {
+      await tick();
+      return clone(store.get(id));
+    }),
+    findOneAndUpdate: vi.fn(async (filter, update) => {
+      await tick();
+      const doc = find(filter);
+      if (!doc) return null;
+      Object.assign(doc, update.$set || {});
+      for (const [key, value] of Object.entries(update.$push || {})) doc[key] = [...(doc[key] || []), value];
+      return clone(doc);
+    }),
+    updateOne: vi.fn(async (filter, update) => {
+      await tick();
+      const doc = find(filter);
+      if (doc) Object.assign(doc, update.$set || {});
+      return { modifiedCount: doc ? 1 : 0 };
+    }),
+  },
+}));
+
+vi.mock("../../src/models/cart.js", () => ({
+  default: { deleteMany: vi.fn(async () => ({ deletedCount: 1 })) },
+}));
+vi.mock("../../src/utils/Email.js", () => ({ sendEmail: vi.fn(async () => ({})) }));
+vi.mock("../../src/utils/inventory.js", () => ({ decrementStock: vi.fn(async () => []) }));
+vi.mock("../../src/utils/reservations.js", () => ({ consumeReservation: vi.fn(async () => true) }));
+vi.mock("../../src/utils/promotions.js", () => ({ redeemPromotionUse: vi.fn(async () => ({ redeemed: true })) }));
+vi.mock("../../src/utils/deliverySlots.js", () => ({ confirmSlotBooking: vi.fn(async () => true) }));
+
+const { fulfillOrder } = await import("../../src/utils/fulfillment.js");
+const { default: Cart } = await import("../../src/models/cart.js");
+const { sendEmail } = await import("../../src/utils/Email.js");
+const { consumeReservation } = await import("../../src/utils/reservations.js");
+const { redeemPromotionUse } = await import("../../src/utils/promotions.js");
+
+const REFERENCE = "ref_123";
+
+const seedOrder = (overrides = {}) => {
+  const order = {
+    _id: "order1",
+    userId: "user1",
+    paystackReference: REFERENCE,
+    paymentStatus: "pending",
+    orderStatus: "pending",
+    totalAmount: 50,
+    amountPaid: 0,
+    customer: { fullName: "Ama Mensah", email: "ama@example.com" },
+    items: [{ drinkId: "drink1", name: "Malt", pack: "single", quantity: 2, price: 25 }],
+    statusHistory: [],
+    discount: null,
+    deliverySlot: null,
+    ...overrides,
+  };
+  store.set(order._id, order);
+  return order;
+};
+
+// Customer and admin confirmation emails for one paid order
+const CONFIRMATION_EMAILS = 2;
+
+beforeEach(() => {
+  store.clear();
+  vi.clearAllMocks();
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  process.env.ADMIN_EMAIL = "admin@example.com";
+});
+
+describe("fulfillOrder", () => {
+  it("marks a pending order paid and runs its side effects once", async () => {
+    seedOrder();
+
+    const result = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+
+    expect(result.status).toBe("paid");
+    expect(store.get("order1")).toMatchObject({
+      paymentStatus: "paid",
+      orderStatus: "confirmed",
+      amountPaid: 50,
+      stockCommitted: true,
+    });
+    expect(store.get("order1").statusHistory).toHaveLength(1);
+    expect(consumeReservation).toHaveBeenCalledTimes(1);
+    expect(Cart.deleteMany).toHaveBeenCalledWith({ userId: "user1" });
+    await vi.waitFor(() => expect(sendEmail).toHaveBeenCalledTimes(CONFIRMATION_EMAILS));
+  });
+
+  it("lets only one of a racing webhook and verify fulfil the order", async () => {
+    seedOrder();
+
+    const results = await Promise.all([
+      fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" }),
+      fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "verify" }),
+    ]);
+
+    expect(results.map((r) => r.status).sort()).toEqual(["duplicate", "paid"]);
+    expect(results.find((r) => r.status === "duplicate").order.paymentStatus).toBe("paid");
+    expect(store.get("order1").statusHistory).toHaveLength(1);
+    expect(consumeReservation).toHaveBeenCalledTimes(1);
+    expect(Cart.deleteMany).toHaveBeenCalledTimes(1);
+    await vi.waitFor(() => expect(sendEmail).toHaveBeenCalledTimes(CONFIRMATION_EMAILS));
+  });
+
+  it("treats a repeated webhook delivery as a duplicate", async () => {
+    seedOrder();
+
+    await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+    const again = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+
+    expect(again.status).toBe("duplicate");
+    expect(consumeReservation).toHaveBeenCalledTimes(1);
+    expect(Cart.deleteMany).toHaveBeenCalledTimes(1);
+    expect(store.get("order1").statusHistory).toHaveLength(1);
+  });
+
+  it("leaves the order unpaid and alerts the admin when Paystack charged less", async () => {
+    seedOrder();
+
+    const result = await fulfillOrder({ reference: REFERENCE, amountPaid: 4999, source: "webhook" });
+
+    expect(result.status).toBe("amount_mismatch");
+    expect(store.get("order1").paymentStatus).toBe("pending");
+    expect(consumeReservation).not.toHaveBeenCalled();
+    expect(Cart.deleteMany).not.toHaveBeenCalled();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({ to: "admin@example.com" });
+  });
+
+  it("does not touch an order that is already paid", async () => {
+    seedOrder({ paymentStatus: "paid", orderStatus: "confirmed", amountPaid: 50 });
+
+    const result = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "verify" });
+
+    expect(result.status).toBe("duplicate");
+    expect(store.get("order1").statusHistory).toHaveLength(0);
+    expect(consumeReservation).not.toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("flags a payment for a cancelled order for refund instead of fulfilling it", async () => {
+    seedOrder({ paymentStatus: "cancelled", orderStatus: "cancelled" });
+
+    const result = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+    const again = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+
+    expect(result.status).toBe("paid_after_cancel");
+    expect(again.status).toBe("duplicate");
+    expect(store.get("order1")).toMatchObject({
+      paymentStatus: "cancelled",
+      orderStatus: "cancelled",
+      amountPaid: 50,
+      review: { reason: "paid_after_cancel" },
+    });
+    expect(store.get("order1").statusHistory).toHaveLength(0);
+    expect(consumeReservation).not.toHaveBeenCalled();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0]).toMatchObject({ to: "admin@example.com" });
+  });
+
+  it("flags a late payment whose promo code has no uses left for review", async () => {
+    seedOrder({ subtotal: 55, deliveryFee: 0, discount: { code: "WELCOME10", amount: 5, deliveryAmount: 0 } });
+    redeemPromotionUse.mockResolvedValueOnce({
+      redeemed: false,
+      limitExceeded: true,
+      error: "Promo code WELCOME10 was already used by this customer",
+    });
+
+    const result = await fulfillOrder({ reference: REFERENCE, amountPaid: 5000, source: "webhook" });
+
+    expect(result.status).toBe("paid");
+    expect(store.get("order1").review).toMatchObject({ reason: "promo_limit_exceeded" });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: "admin@example.com" }));
+  });
+
+  it("reports an unknown reference", async () => {
+    const result = await fulfillOrder({ reference: "missing", amountPaid: 5000, source: "webhook" });
+
+    expect(result).toEqual({ status: "not_found", order: null });
+  });
+});